@@ -2,12 +2,23 @@
  * Carousel Module - Template Preview Carousel with Touch Support
  * 
  * Provides a production-ready carousel implementation with:
- * - Touch/swipe gesture support
+ * - Pointer drag that follows the finger, with momentum and rubber-banding
  * - Keyboard navigation
- * - Automatic rotation with pause on interaction
+ * - Automatic rotation with a play/pause toggle (WCAG 2.2.2), paused on
+ *   interaction, in background tabs, off-screen and for reduced motion
  * - Accessibility features (ARIA, focus management)
  * - Performance optimizations (RAF, lazy loading)
  * - Kill switch support via data attribute
+ * - Declarative auto-initialization from data-carousel-* attributes
+ * - carousel:* CustomEvents and a plugin hook (use / registerPlugin)
+ * - Adding, removing and replacing slides at runtime
+ * - Several slides per view with container-width breakpoints
+ * - Seamless infinite looping with cloned edge slides
+ * - Slide, fade and none transition effects, plus custom Web Animations effects
+ * - Optional thumbnail strip navigation (thumbnails plugin)
+ * - Optional zoomable fullscreen preview (lightbox plugin)
+ * - Deep links to a slide (#section/slug or ?template=slug) kept in sync with history
+ * - Vertical orientation, and right-to-left layouts detected from dir
  * 
  * @module carousel
  */
@@ -15,6 +26,201 @@
 (function() {
   'use strict';
 
+  // Default selector for containers created by CarouselController.autoInit()
+  const AUTO_INIT_SELECTOR = '.carousel-container';
+
+  // Indicator buttons, and the element new indicators are rendered into
+  const INDICATOR_SELECTOR = '[data-carousel-indicator], .carousel-indicators [role="tab"]';
+  const INDICATOR_CONTAINER_SELECTOR = '[data-carousel-indicators], .carousel-indicators';
+
+  // Drag tuning: movement before the gesture axis is decided (px), release
+  // velocity that counts as a flick (px/ms), how far momentum carries (ms)
+  // and how much of an overscroll is shown past the edges without looping
+  const DRAG_AXIS_LOCK_DISTANCE = 8;
+  const FLICK_VELOCITY = 0.4;
+  const MOMENTUM_DURATION = 250;
+  const EDGE_RESISTANCE = 0.35;
+
+  // Controllers keyed by container element
+  const instances = new Map();
+
+  // Plugins available to data-carousel-plugins, keyed by name
+  const pluginRegistry = new Map();
+
+  /**
+   * Parse a boolean data attribute ("", "true", "false")
+   * @param {string|undefined} value - Attribute value
+   * @returns {boolean|undefined}
+   */
+  function parseBooleanOption(value) {
+    if (value === undefined) return undefined;
+    return value !== 'false';
+  }
+
+  /**
+   * Turn a slide name into a URL slug ("Creative Bold" -> "creative-bold")
+   * @param {string} text - Slide name
+   * @returns {string} Slug
+   */
+  function slugify(text) {
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Parse a non-negative integer data attribute
+   * @param {string|undefined} value - Attribute value
+   * @returns {number|undefined}
+   */
+  function parseIntegerOption(value) {
+    if (value === undefined || value.trim() === '') return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : undefined;
+  }
+
+  /**
+   * Describe slide positions for labels: "3", "3–4", or "3 and 1" when a
+   * seamless carousel wraps past the last slide
+   * @param {number[]} indexes - Zero-based slide indexes in view order
+   * @returns {string}
+   */
+  function formatSlideRange(indexes) {
+    const numbers = indexes.map((index) => index + 1);
+    const last = numbers[numbers.length - 1];
+
+    if (numbers.length === 1) {
+      return String(last);
+    }
+
+    if (numbers.every((number, i) => i === 0 || number === numbers[i - 1] + 1)) {
+      return `${numbers[0]}–${last}`;
+    }
+
+    return `${numbers.slice(0, -1).join(', ')} and ${last}`;
+  }
+
+  // Autoplay pause reasons the user can override with the play button
+  const USER_PAUSE_REASONS = ['user', 'reduced-motion', 'connection', 'hover', 'focus'];
+
+  // Safety margin for transition completion when transitionend never fires
+  // (nothing moved, or the carousel is display: none)
+  const TRANSITION_END_GRACE = 50;
+
+  /**
+   * Show a slide by positioning the track without a transition
+   * @param {CarouselController} carousel - Controller
+   * @param {number} index - Slide index
+   */
+  function jumpTrack(carousel, index) {
+    carousel.track.style.transitionProperty = 'none';
+    carousel.setTrackPosition(index);
+
+    // Force a reflow so the transition is restored after the jump
+    void carousel.track.offsetWidth;
+    carousel.track.style.transitionProperty = '';
+  }
+
+  /**
+   * Get the LazyLoadManager from performance.js, which loads data-src
+   * images with responsive srcset and sizes
+   * @returns {Object|null}
+   */
+  function getLazyLoader() {
+    return (window.PerformanceUtils && window.PerformanceUtils.lazyLoad) || null;
+  }
+
+  /**
+   * Get the ConnectionManager from performance.js, whose loading strategy
+   * holds autoplay on slow connections and limits slide preloading
+   * @returns {Object|null}
+   */
+  function getConnectionManager() {
+    return (window.PerformanceUtils && window.PerformanceUtils.connection) || null;
+  }
+
+  /**
+   * Base URL of a slide image, from data-src until it has been loaded
+   * @param {HTMLImageElement} image - Slide image
+   * @returns {string}
+   */
+  function getImageBaseSource(image) {
+    return image.dataset.src || image.getAttribute('src') || '';
+  }
+
+  /**
+   * Built-in transition effects. An effect has:
+   * - layout: 'track' (slides in a row or column, moved by setTrackPosition) or 'stack'
+   *   (slides on top of each other, one per view)
+   * - setup(carousel) / teardown(carousel): optional, when the effect is applied or replaced
+   * - jump(carousel, index): optional, show a slide without animating
+   * - positionsTrack: true when animate() moves the track itself; otherwise
+   *   the track is jumped into place before animate() runs
+   * - animate(carousel, context): start the transition; may return an
+   *   Animation, a Promise or nothing. context holds from, to, virtualIndex,
+   *   fromSlide, toSlide, direction, duration and easing.
+   */
+  const effects = new Map([
+    ['slide', {
+      layout: 'track',
+      positionsTrack: true,
+      jump: jumpTrack,
+      animate(carousel, { virtualIndex, duration }) {
+        const track = carousel.track;
+
+        return new Promise((resolve) => {
+          let timer = null;
+          const finish = (e) => {
+            if (e && (e.target !== track || e.propertyName !== 'transform')) return;
+            track.removeEventListener('transitionend', finish);
+            clearTimeout(timer);
+            resolve();
+          };
+
+          track.addEventListener('transitionend', finish);
+          timer = setTimeout(finish, duration + TRANSITION_END_GRACE);
+          carousel.setTrackPosition(virtualIndex);
+        });
+      }
+    }],
+    ['fade', {
+      layout: 'stack',
+      animate(carousel, { fromSlide, toSlide, duration, easing }) {
+        if (!toSlide || typeof toSlide.animate !== 'function') {
+          return null;
+        }
+
+        const timing = { duration, easing };
+        const animations = [
+          toSlide.animate([
+            { opacity: 0, visibility: 'visible' },
+            { opacity: 1, visibility: 'visible' }
+          ], timing)
+        ];
+
+        if (fromSlide) {
+          animations.push(fromSlide.animate([
+            { opacity: 1, visibility: 'visible' },
+            { opacity: 0, visibility: 'visible' }
+          ], timing));
+        }
+
+        return Promise.all(animations.map((animation) => animation.finished));
+      }
+    }],
+    ['none', {
+      layout: 'track',
+      positionsTrack: true,
+      jump: jumpTrack,
+      animate(carousel, { virtualIndex }) {
+        jumpTrack(carousel, virtualIndex);
+      }
+    }]
+  ]);
+
   /**
    * Carousel Controller Class
    * Manages carousel state, navigation, and user interactions
@@ -23,18 +229,34 @@
     /**
      * Initialize carousel controller
      * @param {HTMLElement} container - Carousel container element
+     * @param {Object} options - Overrides for data-carousel-* attributes
+     * @param {boolean} options.autoplay - Rotate slides automatically
+     * @param {number} options.autoRotateDelay - Autoplay delay in milliseconds
+     * @param {boolean|string} options.loop - Wrap from the last slide to the first;
+     *   'seamless' keeps moving in the same direction across the wrap
+     * @param {number} options.startIndex - Slide shown initially
+     * @param {number} options.transitionDuration - Slide transition in milliseconds
+     * @param {string} options.effect - slide, fade, none or a registered custom effect
+     * @param {string} options.easing - CSS easing for the transition
+     * @param {string} options.orientation - 'horizontal' or 'vertical'
+     * @param {boolean|string} options.urlSync - Write the active slide to the URL:
+     *   'hash' (#section/slug) or 'query' (?template=slug)
+     * @param {string} options.urlParam - Query parameter for 'query' (default template)
+     * @param {string} options.urlPrefix - Hash prefix for 'hash' (default nearest ancestor id)
      */
-    constructor(container) {
+    constructor(container, options = {}) {
       if (!container) {
         throw new Error('Carousel container element is required');
       }
 
       this.container = container;
       this.track = container.querySelector('.carousel-track');
-      this.slides = Array.from(container.querySelectorAll('.carousel-slide'));
-      this.prevButton = container.querySelector('[data-carousel-prev]');
-      this.nextButton = container.querySelector('[data-carousel-next]');
-      this.indicators = Array.from(container.querySelectorAll('[data-carousel-indicator]'));
+      this.slides = this.track ? this.querySlides() : [];
+      this.prevButton = container.querySelector('[data-carousel-prev], .carousel-button-prev');
+      this.nextButton = container.querySelector('[data-carousel-next], .carousel-button-next');
+      this.indicatorContainer = container.querySelector(INDICATOR_CONTAINER_SELECTOR);
+      this.indicators = Array.from(container.querySelectorAll(INDICATOR_SELECTOR));
+      this.imageObserver = null;
       
       // Validate required elements
       if (!this.track || this.slides.length === 0) {
@@ -42,31 +264,109 @@
         return;
       }
 
-      // State management
-      this.currentIndex = 0;
-      this.isTransitioning = false;
-      this.autoRotateInterval = null;
-      this.touchStartX = 0;
-      this.touchEndX = 0;
-      this.isDisabled = container.dataset.disableCarousel === 'true';
-      
-      // Configuration
+      // Configuration: defaults < data attributes < constructor options
       this.config = {
+        autoplay: true,
         autoRotateDelay: 5000,
+        loop: true,
+        startIndex: 0,
         transitionDuration: 350,
+        effect: 'slide',
+        easing: 'ease',
+        slidesPerView: 1,
+        slidesToScroll: 1,
+        breakpoints: {},
+        orientation: 'horizontal',
         swipeThreshold: 50,
-        dragThreshold: 50
+        dragThreshold: 50,
+        urlSync: false,
+        urlParam: 'template',
+        urlPrefix: null,
+        ...CarouselController.readOptions(container),
+        ...options
       };
 
+      // State management
+      this.currentIndex = Math.min(Math.max(this.config.startIndex, 0), this.slides.length - 1);
+      this.isTransitioning = false;
+      this.transitionId = 0;
+      this.autoRotateInterval = null;
+
+      // Autoplay runs only while nothing is holding it paused
+      this.pauseReasons = new Set();
+      this.autoplayToggle = null;
+      this.autoplayToggleCreated = false;
+      this.visibilityObserver = null;
+      this.unsubscribeConnection = null;
+      this.drag = null;
+      this.isDisabled = container.dataset.disableCarousel === 'true';
+
+      // Active layout, resolved from config.breakpoints by updateLayout()
+      this.slidesPerView = 1;
+      this.slidesToScroll = 1;
+      this.resizeObserver = null;
+
+      // Track axis, and the writing direction detected by updateLayout()
+      this.isVertical = this.config.orientation === 'vertical';
+      this.isRTL = false;
+
+      // Clones rendered before and after the real slides in seamless mode
+      this.clones = [];
+      this.cloneCount = 0;
+
+      // Installed plugins and their teardown functions
+      this.plugins = [];
+
+      instances.set(container, this);
+
       // Bound methods for event listeners
+      this.boundHandlePrev = () => this.navigate('prev', 'button');
+      this.boundHandleNext = () => this.navigate('next', 'button');
+      this.boundHandleIndicatorClick = this.handleIndicatorClick.bind(this);
       this.boundHandleKeyboard = this.handleKeyboard.bind(this);
-      this.boundHandleTouchStart = this.handleTouchStart.bind(this);
-      this.boundHandleTouchMove = this.handleTouchMove.bind(this);
-      this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
-      this.boundHandleMouseEnter = this.pauseAutoRotate.bind(this);
-      this.boundHandleMouseLeave = this.startAutoRotate.bind(this);
-      this.boundHandleFocusIn = this.pauseAutoRotate.bind(this);
-      this.boundHandleFocusOut = this.startAutoRotate.bind(this);
+      this.boundHandlePointerDown = this.handlePointerDown.bind(this);
+      this.boundHandlePointerMove = this.handlePointerMove.bind(this);
+      this.boundHandlePointerUp = this.handlePointerUp.bind(this);
+      this.boundHandleDragStart = (e) => e.preventDefault();
+      this.boundHandleMouseEnter = () => this.pauseAutoRotate('hover');
+      this.boundHandleMouseLeave = () => this.startAutoRotate('hover');
+      this.boundHandleFocusIn = () => this.pauseAutoRotate('focus');
+      this.boundHandleFocusOut = () => this.startAutoRotate('focus');
+      this.boundHandleMotionChange = () => {
+        this.applyEffect();
+        if (this.prefersReducedMotion()) {
+          this.pauseAutoRotate('reduced-motion');
+        } else {
+          this.startAutoRotate('reduced-motion');
+        }
+      };
+      this.boundHandleVisibilityChange = () => {
+        if (document.hidden) {
+          this.pauseAutoRotate('hidden');
+        } else {
+          this.startAutoRotate('hidden');
+        }
+      };
+      this.boundHandlePopState = () => {
+        const index = this.getUrlSlideIndex();
+        if (index !== -1) {
+          this.goToSlide(index, 'history');
+        }
+      };
+      this.boundHandleAutoplayToggle = () => {
+        if (this.isAutoplayPausedByUser()) {
+          this.play();
+        } else {
+          this.pause();
+        }
+      };
+
+      // Active transition effect; prefers-reduced-motion forces 'none'
+      this.effectName = null;
+      this.effect = effects.get('slide');
+      this.reducedMotionQuery = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
 
       if (!this.isDisabled) {
         this.init();
@@ -80,9 +380,16 @@
      */
     init() {
       try {
+        this.applyTransitionDuration();
+        this.applyEffect();
+        this.setupUrlSync();
+        this.updateLayout(true);
+        this.setupResizeObserver();
         this.setupEventListeners();
         this.setupIntersectionObserver();
-        this.startAutoRotate();
+        this.preloadSlides();
+        this.useDeclaredPlugins();
+        this.setupAutoplay();
         this.updateAccessibility();
         console.log('Carousel: Initialized successfully with', this.slides.length, 'slides');
       } catch (error) {
@@ -96,27 +403,24 @@
     setupEventListeners() {
       // Button navigation
       if (this.prevButton) {
-        this.prevButton.addEventListener('click', () => this.navigate('prev'));
+        this.prevButton.addEventListener('click', this.boundHandlePrev);
       }
       if (this.nextButton) {
-        this.nextButton.addEventListener('click', () => this.navigate('next'));
+        this.nextButton.addEventListener('click', this.boundHandleNext);
       }
 
-      // Indicator navigation
-      this.indicators.forEach((indicator, index) => {
-        indicator.addEventListener('click', () => this.goToSlide(index));
-      });
+      // Indicator navigation (delegated so re-rendered indicators keep working)
+      this.container.addEventListener('click', this.boundHandleIndicatorClick);
 
       // Keyboard navigation
       this.container.addEventListener('keydown', this.boundHandleKeyboard);
 
-      // Touch/swipe support
-      this.track.addEventListener('touchstart', this.boundHandleTouchStart, { passive: true });
-      this.track.addEventListener('touchmove', this.boundHandleTouchMove, { passive: true });
-      this.track.addEventListener('touchend', this.boundHandleTouchEnd);
-
-      // Mouse drag support
-      this.setupMouseDrag();
+      // Pointer drag (mouse, touch and pen)
+      this.track.addEventListener('pointerdown', this.boundHandlePointerDown);
+      this.track.addEventListener('pointermove', this.boundHandlePointerMove);
+      this.track.addEventListener('pointerup', this.boundHandlePointerUp);
+      this.track.addEventListener('pointercancel', this.boundHandlePointerUp);
+      this.track.addEventListener('dragstart', this.boundHandleDragStart);
 
       // Pause auto-rotate on hover
       this.container.addEventListener('mouseenter', this.boundHandleMouseEnter);
@@ -125,63 +429,67 @@
       // Pause auto-rotate on focus
       this.container.addEventListener('focusin', this.boundHandleFocusIn);
       this.container.addEventListener('focusout', this.boundHandleFocusOut);
+
+      // Switch effects when the reduced motion preference changes
+      if (this.reducedMotionQuery && this.reducedMotionQuery.addEventListener) {
+        this.reducedMotionQuery.addEventListener('change', this.boundHandleMotionChange);
+      }
     }
 
     /**
-     * Setup mouse drag functionality
+     * Whether the user asked for reduced motion
+     * @returns {boolean}
      */
-    setupMouseDrag() {
-      let isDragging = false;
-      let startX = 0;
-      let currentX = 0;
+    prefersReducedMotion() {
+      return Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+    }
 
-      const handleMouseDown = (e) => {
-        isDragging = true;
-        startX = e.pageX;
-        this.track.style.cursor = 'grabbing';
-        this.pauseAutoRotate();
-      };
+    /**
+     * Apply the configured effect, or 'none' when reduced motion is requested
+     */
+    applyEffect() {
+      const requested = effects.has(this.config.effect) ? this.config.effect : 'slide';
+      const name = this.prefersReducedMotion() ? 'none' : requested;
 
-      const handleMouseMove = (e) => {
-        if (!isDragging) return;
-        currentX = e.pageX;
-      };
+      const previousName = this.effectName;
+      if (name === previousName) {
+        return;
+      }
 
-      const handleMouseUp = () => {
-        if (!isDragging) return;
-        isDragging = false;
-        this.track.style.cursor = 'grab';
-        
-        const diff = startX - currentX;
-        if (Math.abs(diff) > this.config.dragThreshold) {
-          if (diff > 0) {
-            this.navigate('next');
-          } else {
-            this.navigate('prev');
-          }
+      if (previousName) {
+        this.container.classList.remove(`carousel-effect-${this.effectName}`);
+        if (this.effect.teardown) {
+          this.effect.teardown(this);
         }
-        this.startAutoRotate();
-      };
+      }
+
+      this.effectName = name;
+      this.effect = effects.get(name);
+      this.container.classList.add(`carousel-effect-${name}`);
+
+      if (this.effect.setup) {
+        this.effect.setup(this);
+      }
 
-      this.track.addEventListener('mousedown', handleMouseDown);
-      document.addEventListener('mousemove', handleMouseMove);
-      document.addEventListener('mouseup', handleMouseUp);
+      // Stacked effects show one slide at a time and never clone
+      if (previousName) {
+        this.updateLayout(true);
+      }
     }
 
     /**
-     * Setup intersection observer for lazy loading
+     * Setup intersection observer for lazy loading; performance.js takes
+     * over when loaded, so slides get responsive srcset and sizes
      */
     setupIntersectionObserver() {
-      const images = this.container.querySelectorAll('img[loading="lazy"]');
-      
+      if (getLazyLoader()) {
+        this.observeLazyImages(this.container);
+        return;
+      }
+
       if (!('IntersectionObserver' in window)) {
         console.warn('Carousel: IntersectionObserver not supported, loading all images');
-        images.forEach(img => {
-          if (img.dataset.src) {
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
-          }
-        });
+        this.observeLazyImages(this.container);
         return;
       }
 
@@ -206,195 +514,2134 @@
         rootMargin: '50px'
       });
 
-      images.forEach(img => imageObserver.observe(img));
+      this.imageObserver = imageObserver;
+      this.observeLazyImages(this.container);
     }
 
     /**
-     * Handle keyboard navigation
-     * @param {KeyboardEvent} e - Keyboard event
+     * Watch lazy images inside an element, or load them right away when
+     * IntersectionObserver is unavailable
+     * @param {ParentNode} root - Element containing images
      */
-    handleKeyboard(e) {
-      switch(e.key) {
-        case 'ArrowLeft':
-          e.preventDefault();
-          this.navigate('prev');
-          break;
-        case 'ArrowRight':
-          e.preventDefault();
-          this.navigate('next');
-          break;
-        case 'Home':
-          e.preventDefault();
-          this.goToSlide(0);
-          break;
-        case 'End':
-          e.preventDefault();
-          this.goToSlide(this.slides.length - 1);
-          break;
-      }
+    observeLazyImages(root) {
+      const images = root.querySelectorAll('img[loading="lazy"]');
+      const lazyLoad = getLazyLoader();
+
+      images.forEach(img => {
+        if (lazyLoad) {
+          lazyLoad.observe(img);
+        } else if (this.imageObserver) {
+          this.imageObserver.observe(img);
+        } else if (img.dataset.src) {
+          img.src = img.dataset.src;
+          img.removeAttribute('data-src');
+        }
+      });
     }
 
     /**
-     * Handle touch start event
-     * @param {TouchEvent} e - Touch event
+     * Load the images of the slides after the view before they are shown,
+     * as many as the connection's preloadCount allows (performance.js only)
      */
-    handleTouchStart(e) {
-      this.touchStartX = e.changedTouches[0].screenX;
-      this.pauseAutoRotate();
+    preloadSlides() {
+      const lazyLoad = getLazyLoader();
+      const connection = getConnectionManager();
+      if (!lazyLoad || !connection) {
+        return;
+      }
+
+      const count = this.slides.length;
+      const ahead = Math.min(connection.getLoadingStrategy().preloadCount, count - this.slidesPerView);
+
+      for (let step = 1; step <= ahead; step++) {
+        let index = this.currentIndex + this.slidesPerView - 1 + step;
+        if (index >= count) {
+          if (!this.config.loop) break;
+          index %= count;
+        }
+
+        this.slides[index].querySelectorAll('img[data-src]').forEach((img) => lazyLoad.loadImageNow(img));
+      }
     }
 
     /**
-     * Handle touch move event
-     * @param {TouchEvent} e - Touch event
+     * Handle clicks on indicator buttons
+     * @param {MouseEvent} e - Click event
      */
-    handleTouchMove(e) {
-      this.touchEndX = e.changedTouches[0].screenX;
+    handleIndicatorClick(e) {
+      const indicator = e.target.closest(INDICATOR_SELECTOR);
+      const page = this.indicators.indexOf(indicator);
+
+      if (page !== -1) {
+        this.goToSlide(this.getPageStart(page), 'indicator');
+      }
     }
 
     /**
-     * Handle touch end event
+     * Recalculate the layout when the container is resized
      */
-    handleTouchEnd() {
-      const diff = this.touchStartX - this.touchEndX;
+    setupResizeObserver() {
+      if (typeof ResizeObserver === 'undefined') {
+        return;
+      }
 
-      if (Math.abs(diff) > this.config.swipeThreshold) {
-        if (diff > 0) {
-          this.navigate('next');
-        } else {
-          this.navigate('prev');
-        }
+      this.resizeObserver = new ResizeObserver(() => this.updateLayout());
+      this.resizeObserver.observe(this.container);
+    }
+
+    /**
+     * Resolve slidesPerView and slidesToScroll for the container width.
+     * Breakpoint keys are minimum container widths in pixels.
+     * @returns {{ slidesPerView: number, slidesToScroll: number }}
+     */
+    getResponsiveLayout() {
+      if (this.effect.layout === 'stack') {
+        return { slidesPerView: 1, slidesToScroll: 1 };
       }
 
-      this.startAutoRotate();
+      const width = this.container.clientWidth;
+      const layout = {
+        slidesPerView: this.config.slidesPerView,
+        slidesToScroll: this.config.slidesToScroll
+      };
+
+      Object.keys(this.config.breakpoints)
+        .map(Number)
+        .filter((minWidth) => Number.isFinite(minWidth) && width >= minWidth)
+        .sort((a, b) => a - b)
+        .forEach((minWidth) => Object.assign(layout, this.config.breakpoints[minWidth]));
+
+      return {
+        slidesPerView: Math.max(1, Math.floor(layout.slidesPerView) || 1),
+        slidesToScroll: Math.max(1, Math.floor(layout.slidesToScroll) || 1)
+      };
     }
 
     /**
-     * Navigate to next or previous slide
-     * @param {string} direction - 'next' or 'prev'
+     * Apply the layout for the current container width
+     * @param {boolean} force - Re-render even when the layout is unchanged
      */
-    navigate(direction) {
-      if (this.isTransitioning) {
-        console.log('Carousel: Navigation blocked - transition in progress');
+    updateLayout(force = false) {
+      const { slidesPerView, slidesToScroll } = this.getResponsiveLayout();
+      const isRTL = this.detectRTL();
+
+      if (!force && slidesPerView === this.slidesPerView && slidesToScroll === this.slidesToScroll
+        && isRTL === this.isRTL) {
         return;
       }
 
-      const newIndex = direction === 'next' 
-        ? (this.currentIndex + 1) % this.slides.length
-        : (this.currentIndex - 1 + this.slides.length) % this.slides.length;
+      this.slidesPerView = slidesPerView;
+      this.slidesToScroll = slidesToScroll;
+      this.isRTL = isRTL;
+      this.container.style.setProperty('--carousel-per-view', slidesPerView);
+      this.container.classList.toggle('carousel-vertical', this.isVertical);
 
-      this.goToSlide(newIndex);
+      this.renderClones();
+      this.renderIndicators();
+      this.jumpToSlide(Math.min(this.currentIndex, this.getMaxIndex()));
+      this.emit('layoutchange', { slidesPerView, slidesToScroll });
     }
 
     /**
-     * Go to specific slide
-     * @param {number} index - Target slide index
+     * Whether the carousel sits in a right-to-left context: the nearest dir
+     * attribute, or the computed CSS direction
+     * @returns {boolean}
      */
-    goToSlide(index) {
-      if (this.isTransitioning || index === this.currentIndex) {
-        return;
+    detectRTL() {
+      const dirElement = this.container.closest('[dir]');
+      const dir = dirElement
+        ? dirElement.getAttribute('dir').toLowerCase()
+        : window.getComputedStyle(this.container).direction;
+      return dir === 'rtl';
+    }
+
+    /**
+     * Sign that turns a logical track offset into a physical one; slides
+     * run right to left in horizontal RTL carousels
+     * @returns {number} 1 or -1
+     */
+    getTrackSign() {
+      return this.isRTL && !this.isVertical ? -1 : 1;
+    }
+
+    /**
+     * CSS transform for a logical track offset (negative moves forward)
+     * @param {number} offset - Offset along the track
+     * @param {string} unit - '%' or 'px'
+     * @returns {string}
+     */
+    getTrackTransform(offset, unit) {
+      const axis = this.isVertical ? 'Y' : 'X';
+      return `translate${axis}(${offset * this.getTrackSign()}${unit})`;
+    }
+
+    /**
+     * Whether the carousel loops seamlessly through cloned edge slides
+     * @returns {boolean}
+     */
+    isSeamless() {
+      return this.config.loop === 'seamless' && this.slides.length > 1 && this.effect.layout !== 'stack';
+    }
+
+    /**
+     * Highest index that can be first in view. In seamless mode any slide
+     * can lead, with the view filled from the start of the list.
+     * @returns {number}
+     */
+    getMaxIndex() {
+      if (this.isSeamless()) {
+        return this.slides.length - 1;
       }
+      return Math.max(this.slides.length - this.slidesPerView, 0);
+    }
 
-      if (index < 0 || index >= this.slides.length) {
-        console.error('Carousel: Invalid slide index', index);
-        return;
+    /**
+     * Number of pages (indicator positions)
+     * @returns {number}
+     */
+    getPageCount() {
+      if (this.slides.length === 0) return 0;
+      if (this.isSeamless()) {
+        return Math.ceil(this.slides.length / this.slidesToScroll);
       }
+      return Math.ceil(this.getMaxIndex() / this.slidesToScroll) + 1;
+    }
 
-      this.isTransitioning = true;
-      const previousIndex = this.currentIndex;
-      this.currentIndex = index;
+    /**
+     * First slide index of a page
+     * @param {number} page - Page index
+     * @returns {number}
+     */
+    getPageStart(page) {
+      return Math.min(page * this.slidesToScroll, this.getMaxIndex());
+    }
 
-      // Use CSS transform for smooth transition
-      const offset = -index * 100;
-      this.track.style.transform = `translateX(${offset}%)`;
+    /**
+     * Page containing the current index
+     * @returns {number}
+     */
+    getCurrentPage() {
+      if (!this.isSeamless() && this.currentIndex >= this.getMaxIndex()) {
+        return Math.max(this.getPageCount() - 1, 0);
+      }
+      return Math.floor(this.currentIndex / this.slidesToScroll);
+    }
 
-      this.updateIndicators();
-      this.updateAccessibility();
+    /**
+     * Indexes of the slides in view from a start index, wrapping past the
+     * last slide in seamless mode
+     * @param {number} start - First slide in view
+     * @returns {number[]} Slide indexes in view order
+     */
+    getVisibleIndexes(start = this.currentIndex) {
+      const indexes = [];
 
-      console.log(`Carousel: Navigated from slide ${previousIndex + 1} to ${index + 1}`);
+      for (let offset = 0; offset < Math.min(this.slidesPerView, this.slides.length); offset++) {
+        const index = start + offset;
 
-      // Reset transition lock after animation completes
-      setTimeout(() => {
-        this.isTransitioning = false;
-      }, this.config.transitionDuration);
+        if (this.isSeamless()) {
+          indexes.push(index % this.slides.length);
+        } else if (index < this.slides.length) {
+          indexes.push(index);
+        }
+      }
+
+      return indexes;
     }
 
     /**
-     * Update indicator states
+     * Get the element at a track position: a slide, or in seamless mode a
+     * clone for positions before the first or after the last slide
+     * @param {number} position - Slide index, possibly past either end
+     * @returns {HTMLElement|null}
      */
-    updateIndicators() {
-      if (this.indicators.length === 0) return;
+    getSlideElement(position) {
+      if (position >= 0 && position < this.slides.length) {
+        return this.slides[position];
+      }
 
-      this.indicators.forEach((indicator, index) => {
-        const isActive = index === this.currentIndex;
-        indicator.setAttribute('aria-selected', isActive.toString());
-        indicator.setAttribute('tabindex', isActive ? '0' : '-1');
-      });
+      if (!this.isSeamless()) {
+        return null;
+      }
+
+      const cloneIndex = position < 0
+        ? position + this.cloneCount
+        : this.cloneCount + position - this.slides.length;
+      return this.clones[cloneIndex] || null;
     }
 
     /**
-     * Update accessibility attributes
+     * Get the elements actually on screen. At the end of a seamless
+     * carousel these include clones of the first slides.
+     * @returns {HTMLElement[]} Slides and clones in view order
      */
-    updateAccessibility() {
-      this.slides.forEach((slide, index) => {
-        const isActive = index === this.currentIndex;
-        slide.setAttribute('aria-hidden', (!isActive).toString());
-        
-        // Update focusable elements
-        const focusableElements = slide.querySelectorAll('a, button, input, [tabindex]');
-        focusableElements.forEach(el => {
-          el.setAttribute('tabindex', isActive ? '0' : '-1');
-        });
-      });
+    getElementsInView() {
+      const elements = [];
 
-      // Update button states
-      if (this.prevButton && this.nextButton) {
-        const slideText = `Slide ${this.currentIndex + 1} of ${this.slides.length}`;
-        this.prevButton.setAttribute('aria-label', `Previous template - ${slideText}`);
-        this.nextButton.setAttribute('aria-label', `Next template - ${slideText}`);
+      for (let offset = 0; offset < Math.min(this.slidesPerView, this.slides.length); offset++) {
+        const element = this.getSlideElement(this.currentIndex + offset);
+        if (element) {
+          elements.push(element);
+        }
       }
+
+      return elements;
     }
 
     /**
-     * Start automatic rotation
+     * Whether a slide is inside the view
+     * @param {number} index - Slide index
+     * @returns {boolean}
      */
-    startAutoRotate() {
-      this.pauseAutoRotate();
-      
-      this.autoRotateInterval = setInterval(() => {
-        this.navigate('next');
-      }, this.config.autoRotateDelay);
-
-      console.log('Carousel: Auto-rotate started');
+    isSlideVisible(index) {
+      if (this.isSeamless()) {
+        const distance = (index - this.currentIndex + this.slides.length) % this.slides.length;
+        return distance < this.slidesPerView;
+      }
+      return index >= this.currentIndex && index < this.currentIndex + this.slidesPerView;
     }
 
     /**
-     * Pause automatic rotation
+     * Move the track so the given slide is first in view
+     * @param {number} index - Slide index; in seamless mode it may run past
+     *   either end into the clones
      */
-    pauseAutoRotate() {
-      if (this.autoRotateInterval) {
-        clearInterval(this.autoRotateInterval);
-        this.autoRotateInterval = null;
-        console.log('Carousel: Auto-rotate paused');
+    setTrackPosition(index) {
+      if (this.effect.layout === 'stack') {
+        this.track.style.transform = '';
+        return;
       }
+
+      const position = index + this.cloneCount;
+      this.track.style.transform = this.getTrackTransform(-position * 100 / this.slidesPerView, '%');
     }
 
     /**
-     * Destroy carousel and cleanup
+     * Render clones of the edge slides for seamless looping: the last slides
+     * before the first one and the first slides after the last one, enough
+     * to cover a full view plus one scroll step. Clones carry
+     * data-carousel-clone-of with their slide index; off screen they are
+     * inert and hidden from assistive tech (see updateAccessibility).
      */
-    destroy() {
-      this.pauseAutoRotate();
-      
-      // Remove event listeners
-      this.container.removeEventListener('keydown', this.boundHandleKeyboard);
-      this.track.removeEventListener('touchstart', this.boundHandleTouchStart);
-      this.track.removeEventListener('touchmove', this.boundHandleTouchMove);
-      this.track.removeEventListener('touchend', this.boundHandleTouchEnd);
-      this.container.removeEventListener('mouseenter', this.boundHandleMouseEnter);
-      this.container.removeEventListener('mouseleave', this.boundHandleMouseLeave);
-      this.container.removeEventListener('focusin', this.boundHandleFocusIn);
-      this.container.removeEventListener('focusout', this.boundHandleFocusOut);
+    renderClones() {
+      this.clones.forEach((clone) => clone.remove());
+      this.clones = [];
+      this.cloneCount = 0;
 
-      console.log('Carousel: Destroyed and cleaned up');
+      if (!this.isSeamless()) {
+        return;
+      }
+
+      const count = this.slides.length;
+      this.cloneCount = this.slidesPerView + this.slidesToScroll - 1;
+
+      const createClone = (index) => {
+        const sourceIndex = ((index % count) + count) % count;
+        const clone = this.slides[sourceIndex].cloneNode(true);
+        clone.classList.add('carousel-clone');
+        clone.setAttribute('aria-hidden', 'true');
+        clone.setAttribute('data-carousel-clone', '');
+        clone.setAttribute('data-carousel-clone-of', String(sourceIndex));
+        clone.removeAttribute('aria-label');
+        clone.removeAttribute('id');
+        clone.inert = true;
+        clone.querySelectorAll('[id]').forEach((el) => el.removeAttribute('id'));
+        clone.querySelectorAll('a, button, input, select, textarea, [tabindex]').forEach((el) => {
+          el.setAttribute('tabindex', '-1');
+        });
+        this.clones.push(clone);
+        return clone;
+      };
+
+      const firstSlide = this.slides[0];
+      for (let i = this.cloneCount; i > 0; i--) {
+        this.track.insertBefore(createClone(-i), firstSlide);
+      }
+      for (let i = 0; i < this.cloneCount; i++) {
+        this.track.appendChild(createClone(i));
+      }
+
+      this.clones.forEach((clone) => this.observeLazyImages(clone));
+    }
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyboard(e) {
+      const direction = this.getKeyDirection(e.key);
+      if (direction) {
+        e.preventDefault();
+        this.navigate(direction, 'keyboard');
+        return;
+      }
+
+      switch(e.key) {
+        case 'Home':
+          e.preventDefault();
+          this.goToSlide(0, 'keyboard');
+          break;
+        case 'End':
+          e.preventDefault();
+          this.goToSlide(this.slides.length - 1, 'keyboard');
+          break;
+      }
+    }
+
+    /**
+     * Map an arrow key to prev or next: ArrowUp/ArrowDown when vertical,
+     * otherwise ArrowLeft/ArrowRight, swapped in right-to-left layouts
+     * @param {string} key - KeyboardEvent key
+     * @param {boolean} vertical - Whether the keys move along a vertical axis
+     * @returns {string|null} 'prev', 'next' or null for other keys
+     */
+    getKeyDirection(key, vertical = this.isVertical) {
+      let keys = ['ArrowLeft', 'ArrowRight'];
+      if (vertical) {
+        keys = ['ArrowUp', 'ArrowDown'];
+      } else if (this.isRTL) {
+        keys = ['ArrowRight', 'ArrowLeft'];
+      }
+
+      if (key === keys[0]) return 'prev';
+      if (key === keys[1]) return 'next';
+      return null;
+    }
+
+    /**
+     * Start tracking a drag
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+      if (!e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) {
+        return;
+      }
+
+      this.drag = {
+        pointerId: e.pointerId,
+        pointerType: e.pointerType,
+        startX: e.clientX,
+        startY: e.clientY,
+        lastPosition: this.getPointerPosition(e),
+        lastTime: e.timeStamp,
+        delta: 0,
+        velocity: 0,
+        axis: null
+      };
+    }
+
+    /**
+     * Pointer coordinate along the track axis, mirrored in RTL so that
+     * moving towards the previous slide is always positive
+     * @param {PointerEvent} e - Pointer event
+     * @returns {number}
+     */
+    getPointerPosition(e) {
+      return (this.isVertical ? e.clientY : e.clientX) * this.getTrackSign();
+    }
+
+    /**
+     * Move the track under the pointer once the drag follows the track axis
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.pointerId) {
+        return;
+      }
+
+      const deltaX = e.clientX - drag.startX;
+      const deltaY = e.clientY - drag.startY;
+
+      // Decide once whether this is a carousel drag or a page scroll
+      if (!drag.axis) {
+        if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < DRAG_AXIS_LOCK_DISTANCE) {
+          return;
+        }
+
+        drag.axis = Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
+        if (drag.axis !== this.getDragAxis()) {
+          this.drag = null;
+          return;
+        }
+
+        if (this.track.setPointerCapture) {
+          this.track.setPointerCapture(e.pointerId);
+        }
+        this.track.classList.add('is-dragging');
+        this.track.style.transitionProperty = 'none';
+        this.pauseAutoRotate(drag.pointerType === 'mouse' ? 'drag' : 'touch');
+      }
+
+      // Smoothed velocity in px/ms, used to pick the slide on release
+      const position = this.getPointerPosition(e);
+      const elapsed = e.timeStamp - drag.lastTime;
+      if (elapsed > 0) {
+        const velocity = (position - drag.lastPosition) / elapsed;
+        drag.velocity = 0.8 * velocity + 0.2 * drag.velocity;
+      }
+
+      drag.lastPosition = position;
+      drag.lastTime = e.timeStamp;
+      drag.delta = (this.isVertical ? deltaY : deltaX) * this.getTrackSign();
+
+      // Only effects that move the track can follow the pointer
+      if (this.effect.layout === 'track') {
+        this.track.style.transform = this.getTrackTransform(this.getDragPosition(drag.delta), 'px');
+      }
+    }
+
+    /**
+     * Finish a drag and settle on a slide
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.pointerId) {
+        return;
+      }
+
+      this.drag = null;
+      if (drag.axis !== this.getDragAxis()) {
+        return;
+      }
+
+      this.track.classList.remove('is-dragging');
+      this.track.style.transitionProperty = '';
+
+      // Links inside a dragged slide should not open on release
+      if (Math.abs(drag.delta) > DRAG_AXIS_LOCK_DISTANCE) {
+        this.suppressNextClick();
+      }
+
+      const source = drag.pointerType === 'mouse' ? 'drag' : 'swipe';
+      const steps = e.type === 'pointercancel' ? 0 : this.getReleaseSteps(drag);
+      const previousIndex = this.currentIndex;
+
+      if (steps !== 0) {
+        const target = this.currentIndex + steps;
+
+        if (this.isSeamless()) {
+          // Clones cover one scroll step past either end
+          const limit = this.slidesToScroll;
+          const virtualIndex = Math.min(Math.max(target, -limit), this.slides.length - 1 + limit);
+          const count = this.slides.length;
+          this.goToSlide(((virtualIndex % count) + count) % count, source, { virtualIndex });
+        } else if (this.config.loop && (target < 0 || target > this.getMaxIndex())) {
+          this.navigate(steps > 0 ? 'next' : 'prev', source);
+        } else {
+          this.goToSlide(Math.min(Math.max(target, 0), this.getMaxIndex()), source);
+        }
+      }
+
+      // Snap back when the drag did not change the slide
+      if (this.currentIndex === previousIndex) {
+        this.setTrackPosition(this.currentIndex);
+      }
+
+      this.startAutoRotate(drag.pointerType === 'mouse' ? 'drag' : 'touch');
+    }
+
+    /**
+     * Axis a drag must follow to move the track; the other axis scrolls the page
+     * @returns {string} 'x' or 'y'
+     */
+    getDragAxis() {
+      return this.isVertical ? 'y' : 'x';
+    }
+
+    /**
+     * Logical track offset in pixels for a drag, with resistance past the
+     * first and last slide when not looping
+     * @param {number} delta - Drag distance along the track (positive towards prev)
+     * @returns {number} Offset for getTrackTransform()
+     */
+    getDragPosition(delta) {
+      const slideWidth = this.getSlideSize();
+      const position = -(this.currentIndex + this.cloneCount) * slideWidth + delta;
+
+      if (this.config.loop) {
+        return position;
+      }
+
+      const minPosition = -(this.getMaxIndex() + this.cloneCount) * slideWidth;
+      if (position > 0) {
+        return position * EDGE_RESISTANCE;
+      }
+      if (position < minPosition) {
+        return minPosition + (position - minPosition) * EDGE_RESISTANCE;
+      }
+      return position;
+    }
+
+    /**
+     * Number of slides to move after a drag, projecting the release
+     * velocity forward so a quick flick travels further than a slow drag
+     * @param {Object} drag - Drag state
+     * @returns {number} Signed slide count (positive moves forward)
+     */
+    getReleaseSteps(drag) {
+      const slideWidth = this.getSlideSize() || 1;
+      const projected = drag.delta + drag.velocity * MOMENTUM_DURATION;
+      const steps = Math.round(-projected / slideWidth);
+
+      if (steps !== 0) {
+        return steps;
+      }
+
+      const threshold = drag.pointerType === 'mouse' ? this.config.dragThreshold : this.config.swipeThreshold;
+      const isFlick = Math.abs(drag.velocity) > FLICK_VELOCITY;
+
+      if (isFlick || Math.abs(drag.delta) > threshold) {
+        return drag.delta < 0 ? this.slidesToScroll : -this.slidesToScroll;
+      }
+
+      return 0;
+    }
+
+    /**
+     * Size of one slide along the track in pixels
+     * @returns {number}
+     */
+    getSlideSize() {
+      const size = this.isVertical ? this.track.clientHeight : this.container.clientWidth;
+      return size / this.slidesPerView;
+    }
+
+    /**
+     * Cancel the click that follows a drag release
+     */
+    suppressNextClick() {
+      const handleClick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
+
+      this.track.addEventListener('click', handleClick, { capture: true, once: true });
+      setTimeout(() => this.track.removeEventListener('click', handleClick, { capture: true }), 0);
+    }
+
+    /**
+     * Navigate to next or previous slide
+     * @param {string} direction - 'next' or 'prev'
+     * @param {string} source - What triggered the change (see goToSlide)
+     */
+    navigate(direction, source = 'api') {
+      if (this.slides.length === 0) {
+        return;
+      }
+
+      if (this.isTransitioning) {
+        console.log('Carousel: Navigation blocked - transition in progress');
+        return;
+      }
+
+      const maxIndex = this.getMaxIndex();
+      let newIndex;
+
+      // Seamless mode animates into the clones, then jumps back (see goToSlide)
+      if (this.isSeamless()) {
+        const count = this.slides.length;
+        const virtualIndex = this.currentIndex + (direction === 'next' ? this.slidesToScroll : -this.slidesToScroll);
+        this.goToSlide(((virtualIndex % count) + count) % count, source, { virtualIndex });
+        return;
+      }
+
+      if (direction === 'next') {
+        if (this.currentIndex >= maxIndex) {
+          if (!this.config.loop) return;
+          newIndex = 0;
+        } else {
+          newIndex = Math.min(this.currentIndex + this.slidesToScroll, maxIndex);
+        }
+      } else if (this.currentIndex <= 0) {
+        if (!this.config.loop) return;
+        newIndex = maxIndex;
+      } else {
+        newIndex = Math.max(this.currentIndex - this.slidesToScroll, 0);
+      }
+
+      this.goToSlide(newIndex, source);
+    }
+
+    /**
+     * Show a slide immediately, without a transition
+     * @param {number} index - Slide index
+     */
+    jumpToSlide(index) {
+      this.currentIndex = index;
+
+      if (this.effect.jump) {
+        this.effect.jump(this, index);
+      } else {
+        jumpTrack(this, index);
+      }
+
+      this.updateIndicators();
+      this.updateAccessibility();
+    }
+
+    /**
+     * Apply the configured transition duration to the track
+     */
+    applyTransitionDuration() {
+      this.track.style.transitionDuration = `${this.config.transitionDuration}ms`;
+      this.track.style.transitionTimingFunction = this.config.easing;
+    }
+
+    /**
+     * Go to specific slide. Dispatches a cancelable carousel:beforechange
+     * and, once the slide is shown, carousel:change. With several slides
+     * per view, slides near the end are shown with the view filled.
+     * @param {number} index - Target slide index
+     * @param {string} source - keyboard, swipe, drag, indicator, thumbnail, lightbox, button, autoplay, history or api
+     * @param {Object} options - Internal options
+     * @param {number} options.virtualIndex - Seamless mode: position past either
+     *   end to animate to before jumping back to the real slide
+     */
+    goToSlide(index, source = 'api', options = {}) {
+      if (this.isTransitioning) {
+        return;
+      }
+
+      if (index < 0 || index >= this.slides.length) {
+        console.error('Carousel: Invalid slide index', index);
+        return;
+      }
+
+      index = Math.min(index, this.getMaxIndex());
+      if (index === this.currentIndex) {
+        return;
+      }
+
+      const detail = { from: this.currentIndex, to: index, source };
+      if (!this.emit('beforechange', detail, true)) {
+        return;
+      }
+
+      this.isTransitioning = true;
+      const transitionId = ++this.transitionId;
+      const previousIndex = this.currentIndex;
+      this.currentIndex = index;
+
+      const virtualIndex = options.virtualIndex !== undefined ? options.virtualIndex : index;
+      const transition = this.runEffect({
+        from: previousIndex,
+        to: index,
+        virtualIndex,
+        fromSlide: this.slides[previousIndex] || null,
+        toSlide: this.slides[index],
+        direction: virtualIndex > previousIndex ? 'next' : 'prev',
+        duration: this.config.transitionDuration,
+        easing: this.config.easing
+      });
+
+      this.updateIndicators();
+      this.updateAccessibility();
+      this.preloadSlides();
+
+      console.log(`Carousel: Navigated from slide ${previousIndex + 1} to ${index + 1}`);
+      this.emit('change', detail);
+
+      // Autoplay is not a choice worth sharing
+      if (this.config.urlSync && source !== 'autoplay' && source !== 'history') {
+        this.updateUrl();
+      }
+
+      if (this.pauseReasons.has('end') && index < this.getMaxIndex()) {
+        this.startAutoRotate('end');
+      }
+
+      // Release the transition lock when the effect finishes
+      transition.then(() => {
+        if (transitionId !== this.transitionId) {
+          return;
+        }
+
+        this.isTransitioning = false;
+
+        // Swap the clone in view for the real slide it copies
+        if (virtualIndex !== index && this.currentIndex === index) {
+          this.jumpToSlide(index);
+        }
+      });
+    }
+
+    /**
+     * Run the active effect's animation
+     * @param {Object} context - Transition context passed to effect.animate
+     * @returns {Promise} Settles when the transition has finished
+     */
+    runEffect(context) {
+      let result;
+
+      try {
+        if (!this.effect.positionsTrack) {
+          jumpTrack(this, context.virtualIndex);
+        }
+        result = this.effect.animate(this, context);
+      } catch (error) {
+        console.error('Carousel: Effect failed', error);
+        jumpTrack(this, context.virtualIndex);
+      }
+
+      // Web Animations expose .finished; cancelled animations reject it
+      const finished = result && result.finished ? result.finished : result;
+      return Promise.resolve(finished).catch(() => {});
+    }
+
+    /**
+     * Update indicator states
+     */
+    updateIndicators() {
+      if (this.indicators.length === 0) return;
+
+      const currentPage = this.getCurrentPage();
+
+      this.indicators.forEach((indicator, page) => {
+        const isActive = page === currentPage;
+        indicator.setAttribute('aria-selected', isActive.toString());
+        indicator.setAttribute('tabindex', isActive ? '0' : '-1');
+      });
+    }
+
+    /**
+     * Update accessibility attributes
+     */
+    updateAccessibility() {
+      // A clone on screen stands in for its slide, which is then off screen
+      const inView = this.getElementsInView();
+      const setExposed = (element, isExposed) => {
+        element.setAttribute('aria-hidden', (!isExposed).toString());
+
+        // Update focusable elements
+        const focusableElements = element.querySelectorAll('a, button, input, [tabindex]');
+        focusableElements.forEach(el => {
+          el.setAttribute('tabindex', isExposed ? '0' : '-1');
+        });
+      };
+
+      this.slides.forEach((slide, index) => {
+        slide.classList.toggle('is-active', this.isSlideVisible(index));
+        slide.setAttribute('aria-label', `${index + 1} of ${this.slides.length}`);
+        setExposed(slide, inView.includes(slide));
+      });
+
+      this.clones.forEach((clone) => {
+        const isShown = inView.includes(clone);
+        clone.inert = !isShown;
+        if (isShown) {
+          clone.setAttribute('aria-label', `${Number(clone.dataset.carouselCloneOf) + 1} of ${this.slides.length}`);
+        } else {
+          clone.removeAttribute('aria-label');
+        }
+        setExposed(clone, isShown);
+      });
+
+      // Update button states
+      if (this.prevButton && this.nextButton) {
+        const visible = this.getVisibleIndexes();
+        const slideText = `${visible.length > 1 ? 'Slides' : 'Slide'} ${formatSlideRange(visible)} of ${this.slides.length}`;
+        this.prevButton.setAttribute('aria-label', `Previous template - ${slideText}`);
+        this.nextButton.setAttribute('aria-label', `Next template - ${slideText}`);
+
+        // Without looping there is nothing before the first or after the last slide
+        this.prevButton.disabled = !this.config.loop && this.currentIndex === 0;
+        this.nextButton.disabled = !this.config.loop && this.currentIndex >= this.getMaxIndex();
+      }
+    }
+
+    /**
+     * Get the slide elements currently in the track
+     * @returns {HTMLElement[]} Slides in document order
+     */
+    querySlides() {
+      return Array.from(this.track.children).filter((child) => {
+        return child.classList.contains('carousel-slide') && !child.classList.contains('carousel-clone');
+      });
+    }
+
+    /**
+     * Turn markup or an element into a slide element
+     * @param {string|HTMLElement} content - Trusted HTML or an element
+     * @returns {HTMLElement} Slide element
+     */
+    createSlide(content) {
+      let slide = content;
+
+      if (typeof content === 'string') {
+        const template = document.createElement('template');
+        template.innerHTML = content.trim();
+        const onlyChild = template.content.children.length === 1 ? template.content.firstElementChild : null;
+
+        if (onlyChild && onlyChild.classList.contains('carousel-slide')) {
+          slide = onlyChild;
+        } else {
+          slide = document.createElement('div');
+          slide.appendChild(template.content);
+        }
+      }
+
+      if (!(slide instanceof HTMLElement)) {
+        throw new TypeError('Carousel: Slide must be an HTML string or element');
+      }
+
+      slide.classList.add('carousel-slide');
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', 'slide');
+      return slide;
+    }
+
+    /**
+     * Insert a slide
+     * @param {string|HTMLElement} content - Trusted HTML or an element
+     * @param {number} index - Position to insert at (defaults to the end)
+     * @returns {HTMLElement} The inserted slide
+     */
+    addSlide(content, index = this.slides.length) {
+      const slide = this.createSlide(content);
+      const position = Math.min(Math.max(index, 0), this.slides.length);
+
+      this.track.insertBefore(slide, this.slides[position] || null);
+
+      // Keep the visible slide in place when inserting before it
+      const keepIndex = this.slides.length > 0 && position <= this.currentIndex
+        ? this.currentIndex + 1
+        : this.currentIndex;
+
+      this.refresh(keepIndex);
+      return slide;
+    }
+
+    /**
+     * Remove a slide
+     * @param {number} index - Index of the slide to remove
+     * @returns {HTMLElement|null} The removed slide
+     */
+    removeSlide(index) {
+      const slide = this.slides[index];
+      if (!slide) {
+        console.error('Carousel: Invalid slide index', index);
+        return null;
+      }
+
+      if (this.imageObserver) {
+        slide.querySelectorAll('img').forEach((img) => this.imageObserver.unobserve(img));
+      }
+
+      slide.remove();
+      this.refresh(index < this.currentIndex ? this.currentIndex - 1 : this.currentIndex);
+      return slide;
+    }
+
+    /**
+     * Replace every slide
+     * @param {Array<string|HTMLElement>} list - Trusted HTML strings or elements
+     * @returns {HTMLElement[]} The new slides
+     */
+    replaceSlides(list) {
+      const slides = Array.from(list, (content) => this.createSlide(content));
+
+      if (this.imageObserver) {
+        this.imageObserver.disconnect();
+      }
+
+      this.slides.forEach((slide) => slide.remove());
+      slides.forEach((slide) => this.track.appendChild(slide));
+
+      this.refresh(0);
+      return slides;
+    }
+
+    /**
+     * Re-read slides after the track changed: rebuild indicators and labels,
+     * observe new lazy images and keep the current index in range
+     * @param {number} index - Slide to show afterwards
+     */
+    refresh(index = this.currentIndex) {
+      this.slides = this.querySlides();
+      this.renderClones();
+      this.renderIndicators();
+
+      this.isTransitioning = false;
+      this.transitionId++;
+      this.jumpToSlide(Math.min(Math.max(index, 0), this.getMaxIndex()));
+
+      this.slides.forEach((slide) => this.observeLazyImages(slide));
+      this.emit('slideschange', { count: this.slides.length, index: this.currentIndex });
+    }
+
+    /**
+     * Render one indicator per page into the indicator container
+     */
+    renderIndicators() {
+      if (!this.indicatorContainer) {
+        this.indicators = Array.from(this.container.querySelectorAll(INDICATOR_SELECTOR));
+        return;
+      }
+
+      const trackId = this.track.id;
+      const indicators = Array.from({ length: this.getPageCount() }, (_, page) => {
+        const visible = this.getVisibleIndexes(this.getPageStart(page));
+        const indicator = this.indicators[page] || document.createElement('button');
+        indicator.type = 'button';
+        indicator.setAttribute('role', 'tab');
+        indicator.setAttribute('aria-label', `Go to ${visible.length > 1 ? 'slides' : 'slide'} ${formatSlideRange(visible)}`);
+        if (trackId) {
+          indicator.setAttribute('aria-controls', trackId);
+        }
+        return indicator;
+      });
+
+      this.indicators.slice(indicators.length).forEach((indicator) => indicator.remove());
+      indicators.forEach((indicator) => this.indicatorContainer.appendChild(indicator));
+      this.indicators = indicators;
+    }
+
+    /**
+     * Set up autoplay: the play/pause toggle and the reduced motion,
+     * page visibility and viewport checks that hold rotation paused
+     */
+    setupAutoplay() {
+      if (!this.config.autoplay) {
+        return;
+      }
+
+      this.renderAutoplayToggle();
+
+      if (this.prefersReducedMotion()) {
+        this.pauseReasons.add('reduced-motion');
+      }
+      if (document.hidden) {
+        this.pauseReasons.add('hidden');
+      }
+
+      // Slow and Save-Data connections get no automatic rotation
+      const connection = getConnectionManager();
+      if (connection) {
+        if (!connection.getLoadingStrategy().enableAnimations) {
+          this.pauseReasons.add('connection');
+        }
+        this.unsubscribeConnection = connection.onChange((strategy) => {
+          if (strategy.enableAnimations) {
+            this.startAutoRotate('connection');
+          } else {
+            this.pauseAutoRotate('connection');
+          }
+        });
+      }
+
+      document.addEventListener('visibilitychange', this.boundHandleVisibilityChange);
+
+      if ('IntersectionObserver' in window) {
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+          const entry = entries[entries.length - 1];
+          if (entry.isIntersecting) {
+            this.startAutoRotate('offscreen');
+          } else {
+            this.pauseAutoRotate('offscreen');
+          }
+        });
+        this.visibilityObserver.observe(this.container);
+      }
+
+      this.syncAutoRotate('init');
+    }
+
+    /**
+     * Use the toggle from markup ([data-carousel-autoplay-toggle]) or render one
+     */
+    renderAutoplayToggle() {
+      let toggle = this.container.querySelector('[data-carousel-autoplay-toggle]');
+
+      if (!toggle) {
+        toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'carousel-autoplay-toggle';
+        toggle.setAttribute('data-carousel-autoplay-toggle', '');
+        toggle.innerHTML = '<span class="carousel-autoplay-icon" aria-hidden="true"></span>';
+        this.container.insertBefore(toggle, this.container.firstChild);
+        this.autoplayToggleCreated = true;
+      }
+
+      if (this.track.id) {
+        toggle.setAttribute('aria-controls', this.track.id);
+      }
+
+      toggle.addEventListener('click', this.boundHandleAutoplayToggle);
+      this.autoplayToggle = toggle;
+      this.updateAutoplayToggle();
+    }
+
+    /**
+     * Reflect the user-facing autoplay state on the toggle. Short pauses for
+     * hover, focus or scrolling away do not change what the button offers.
+     */
+    updateAutoplayToggle() {
+      if (!this.autoplayToggle) {
+        return;
+      }
+
+      const paused = this.isAutoplayPausedByUser();
+      this.autoplayToggle.setAttribute('aria-label', paused
+        ? 'Start automatic slide rotation'
+        : 'Stop automatic slide rotation');
+      this.autoplayToggle.dataset.state = paused ? 'paused' : 'playing';
+    }
+
+    /**
+     * Whether rotation is stopped until the user presses play: paused by the
+     * user, the reduced motion preference or a slow/Save-Data connection
+     * @returns {boolean}
+     */
+    isAutoplayPausedByUser() {
+      return ['user', 'reduced-motion', 'connection'].some((reason) => this.pauseReasons.has(reason));
+    }
+
+    /**
+     * Whether slides are rotating right now
+     * @returns {boolean}
+     */
+    isAutoplaying() {
+      return this.autoRotateInterval !== null;
+    }
+
+    /**
+     * Start rotation at the user's request. Overrides the reduced motion
+     * preference, the connection hold and the hover/focus pauses, but not
+     * hidden tabs or off-screen carousels.
+     */
+    play() {
+      USER_PAUSE_REASONS.forEach((reason) => this.pauseReasons.delete(reason));
+      this.syncAutoRotate('user');
+    }
+
+    /**
+     * Stop rotation at the user's request until play() is called
+     */
+    pause() {
+      this.pauseAutoRotate('user');
+    }
+
+    /**
+     * Clear a pause reason and resume rotation if nothing else holds it
+     * @param {string} source - Reason being cleared (hover, focus, touch, drag, hidden, offscreen, reduced-motion, end, api)
+     */
+    startAutoRotate(source = 'api') {
+      this.pauseReasons.delete(source);
+      this.syncAutoRotate(source);
+    }
+
+    /**
+     * Hold rotation paused for a reason
+     * @param {string} source - Reason (hover, focus, touch, drag, hidden, offscreen, reduced-motion, end, user, api)
+     */
+    pauseAutoRotate(source = 'api') {
+      this.pauseReasons.add(source);
+      this.syncAutoRotate(source);
+    }
+
+    /**
+     * Start or stop the rotation timer to match the pause reasons.
+     * Dispatches carousel:autoplay-resume and carousel:autoplay-pause when
+     * the running state changes.
+     * @param {string} source - What caused the change
+     */
+    syncAutoRotate(source) {
+      const wasRunning = this.autoRotateInterval !== null;
+      const shouldRun = this.config.autoplay && !this.isDisabled && this.pauseReasons.size === 0;
+
+      this.updateAutoplayToggle();
+
+      if (shouldRun === wasRunning) {
+        return;
+      }
+
+      if (shouldRun) {
+        this.autoRotateInterval = setInterval(() => {
+          if (!this.config.loop && this.currentIndex >= this.getMaxIndex()) {
+            this.pauseAutoRotate('end');
+            return;
+          }
+          this.navigate('next', 'autoplay');
+        }, this.config.autoRotateDelay);
+
+        console.log('Carousel: Auto-rotate started');
+        this.emit('autoplay-resume', { index: this.currentIndex, source });
+      } else {
+        clearInterval(this.autoRotateInterval);
+        this.autoRotateInterval = null;
+        console.log('Carousel: Auto-rotate paused');
+        this.emit('autoplay-pause', { index: this.currentIndex, source });
+      }
+    }
+
+    /**
+     * Open the slide named in the URL and follow back/forward navigation.
+     * A container opened from a deep link is marked data-carousel-linked
+     * so main.js can scroll it into view.
+     */
+    setupUrlSync() {
+      if (!this.config.urlSync) {
+        return;
+      }
+
+      const index = this.getUrlSlideIndex();
+      if (index !== -1) {
+        this.currentIndex = index;
+        this.container.setAttribute('data-carousel-linked', this.getSlideSlug(index));
+      }
+
+      window.addEventListener('popstate', this.boundHandlePopState);
+      window.addEventListener('hashchange', this.boundHandlePopState);
+    }
+
+    /**
+     * Get the URL slug for a slide, from its .template-name
+     * @param {number} index - Slide index
+     * @returns {string} Slug
+     */
+    getSlideSlug(index) {
+      const nameElement = this.slides[index].querySelector('.template-name');
+      return (nameElement && slugify(nameElement.textContent)) || `slide-${index + 1}`;
+    }
+
+    /**
+     * Hash prefix for 'hash' deep links, e.g. "templates" in #templates/slug
+     * @returns {string}
+     */
+    getUrlPrefix() {
+      if (this.config.urlPrefix) {
+        return this.config.urlPrefix;
+      }
+
+      const section = this.container.closest('[id]');
+      return section ? section.id : 'carousel';
+    }
+
+    /**
+     * Find the slide named in the URL; either form is accepted
+     * @returns {number} Slide index, or -1
+     */
+    getUrlSlideIndex() {
+      const hashPrefix = `#${this.getUrlPrefix()}/`;
+      let slug = new URLSearchParams(window.location.search).get(this.config.urlParam);
+
+      if (window.location.hash.startsWith(hashPrefix)) {
+        try {
+          slug = decodeURIComponent(window.location.hash.slice(hashPrefix.length));
+        } catch (error) {
+          // Malformed escapes (e.g. a truncated "%E0%A4%A") match no slide
+          return -1;
+        }
+      }
+
+      if (!slug) {
+        return -1;
+      }
+
+      return this.slides.findIndex((slide, index) => this.getSlideSlug(index) === slug);
+    }
+
+    /**
+     * Write the active slide to the URL without adding a history entry
+     */
+    updateUrl() {
+      const url = new URL(window.location.href);
+      const slug = this.getSlideSlug(this.currentIndex);
+
+      if (this.config.urlSync === 'query') {
+        url.searchParams.set(this.config.urlParam, slug);
+      } else {
+        url.hash = `${this.getUrlPrefix()}/${slug}`;
+      }
+
+      if (url.href !== window.location.href) {
+        try {
+          window.history.replaceState(window.history.state, '', url.href);
+        } catch (error) {
+          console.warn('Carousel: Could not update the URL', error);
+        }
+      }
+    }
+
+    /**
+     * Dispatch a carousel:* CustomEvent on the container
+     * @param {string} type - Event name without the "carousel:" prefix
+     * @param {Object} detail - Event detail
+     * @param {boolean} cancelable - Whether listeners may call preventDefault()
+     * @returns {boolean} False when a listener cancelled the event
+     */
+    emit(type, detail = {}, cancelable = false) {
+      const event = new CustomEvent(`carousel:${type}`, {
+        bubbles: true,
+        cancelable,
+        detail: { carousel: this, ...detail }
+      });
+
+      return this.container.dispatchEvent(event);
+    }
+
+    /**
+     * Install a plugin. A plugin is a function called with the controller,
+     * or an object with an install(controller) method; either may return a
+     * teardown function that runs on destroy().
+     * @param {Function|Object} plugin - Plugin to install
+     * @param {Object} options - Passed to the plugin as its second argument
+     * @returns {CarouselController} This controller, for chaining
+     */
+    use(plugin, options = {}) {
+      const install = typeof plugin === 'function' ? plugin : plugin && plugin.install;
+
+      if (typeof install !== 'function') {
+        console.error('Carousel: Plugin must be a function or have an install() method', plugin);
+        return this;
+      }
+
+      if (this.plugins.some((installed) => installed.plugin === plugin)) {
+        return this;
+      }
+
+      try {
+        const teardown = install.call(plugin, this, options);
+        this.plugins.push({ plugin, teardown: typeof teardown === 'function' ? teardown : null });
+      } catch (error) {
+        console.error('Carousel: Plugin installation failed', error);
+      }
+
+      return this;
+    }
+
+    /**
+     * Install plugins named in data-carousel-plugins (space or comma separated)
+     */
+    useDeclaredPlugins() {
+      CarouselController.getDeclaredPlugins(this.container).forEach((name) => {
+        if (pluginRegistry.has(name)) {
+          this.use(pluginRegistry.get(name));
+        }
+      });
+    }
+
+    /**
+     * Destroy carousel and cleanup
+     */
+    destroy() {
+      this.pauseAutoRotate('api');
+
+      document.removeEventListener('visibilitychange', this.boundHandleVisibilityChange);
+      if (this.unsubscribeConnection) {
+        this.unsubscribeConnection();
+        this.unsubscribeConnection = null;
+      }
+      window.removeEventListener('popstate', this.boundHandlePopState);
+      window.removeEventListener('hashchange', this.boundHandlePopState);
+      if (this.visibilityObserver) {
+        this.visibilityObserver.disconnect();
+        this.visibilityObserver = null;
+      }
+      if (this.autoplayToggle) {
+        this.autoplayToggle.removeEventListener('click', this.boundHandleAutoplayToggle);
+        if (this.autoplayToggleCreated) {
+          this.autoplayToggle.remove();
+        }
+        this.autoplayToggle = null;
+      }
+      instances.delete(this.container);
+
+      // Tear plugins down in reverse installation order
+      this.plugins.reverse().forEach(({ teardown }) => {
+        if (teardown) {
+          try {
+            teardown();
+          } catch (error) {
+            console.error('Carousel: Plugin teardown failed', error);
+          }
+        }
+      });
+      this.plugins = [];
+
+      this.clones.forEach((clone) => clone.remove());
+      this.clones = [];
+      this.cloneCount = 0;
+      
+      // Remove event listeners
+      if (this.prevButton) {
+        this.prevButton.removeEventListener('click', this.boundHandlePrev);
+      }
+      if (this.nextButton) {
+        this.nextButton.removeEventListener('click', this.boundHandleNext);
+      }
+      this.container.removeEventListener('click', this.boundHandleIndicatorClick);
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+      if (this.imageObserver) {
+        this.imageObserver.disconnect();
+        this.imageObserver = null;
+      }
+      this.container.removeEventListener('keydown', this.boundHandleKeyboard);
+      this.track.removeEventListener('pointerdown', this.boundHandlePointerDown);
+      this.track.removeEventListener('pointermove', this.boundHandlePointerMove);
+      this.track.removeEventListener('pointerup', this.boundHandlePointerUp);
+      this.track.removeEventListener('pointercancel', this.boundHandlePointerUp);
+      this.track.removeEventListener('dragstart', this.boundHandleDragStart);
+      this.container.removeEventListener('mouseenter', this.boundHandleMouseEnter);
+      this.container.removeEventListener('mouseleave', this.boundHandleMouseLeave);
+      this.container.removeEventListener('focusin', this.boundHandleFocusIn);
+      this.container.removeEventListener('focusout', this.boundHandleFocusOut);
+      if (this.reducedMotionQuery && this.reducedMotionQuery.removeEventListener) {
+        this.reducedMotionQuery.removeEventListener('change', this.boundHandleMotionChange);
+      }
+
+      console.log('Carousel: Destroyed and cleaned up');
+    }
+
+    /**
+     * Read options from data-carousel-* attributes:
+     * data-carousel-autoplay ("false" or a delay in ms), data-carousel-loop
+     * ("true", "false" or "seamless"),
+     * data-carousel-start, data-carousel-duration, data-carousel-per-view,
+     * data-carousel-scroll, data-carousel-effect, data-carousel-easing and
+     * data-carousel-breakpoints (JSON keyed by
+     * minimum container width, e.g. {"600": {"slidesPerView": 2}})
+     * @param {HTMLElement} container - Carousel container element
+     * @returns {Object} Options present on the element
+     */
+    static readOptions(container) {
+      const data = container.dataset;
+      const options = {};
+
+      if (data.carouselAutoplay !== undefined) {
+        const delay = parseIntegerOption(data.carouselAutoplay);
+        options.autoplay = delay !== undefined ? delay > 0 : parseBooleanOption(data.carouselAutoplay);
+        if (delay) {
+          options.autoRotateDelay = delay;
+        }
+      }
+
+      const loop = data.carouselLoop === 'seamless' ? 'seamless' : parseBooleanOption(data.carouselLoop);
+      const startIndex = parseIntegerOption(data.carouselStart);
+      const transitionDuration = parseIntegerOption(data.carouselDuration);
+      const slidesPerView = parseIntegerOption(data.carouselPerView);
+      const slidesToScroll = parseIntegerOption(data.carouselScroll);
+
+      if (data.carouselEffect) options.effect = data.carouselEffect;
+      if (data.carouselOrientation) options.orientation = data.carouselOrientation;
+      if (data.carouselEasing) options.easing = data.carouselEasing;
+      if (data.carouselUrlSync !== undefined) {
+        options.urlSync = data.carouselUrlSync === 'query' ? 'query' : parseBooleanOption(data.carouselUrlSync) && 'hash';
+      }
+      if (data.carouselUrlParam) options.urlParam = data.carouselUrlParam;
+      if (data.carouselUrlPrefix) options.urlPrefix = data.carouselUrlPrefix;
+
+      if (loop !== undefined) options.loop = loop;
+      if (startIndex !== undefined) options.startIndex = startIndex;
+      if (transitionDuration !== undefined) options.transitionDuration = transitionDuration;
+      if (slidesPerView) options.slidesPerView = slidesPerView;
+      if (slidesToScroll) options.slidesToScroll = slidesToScroll;
+
+      if (data.carouselBreakpoints) {
+        try {
+          options.breakpoints = JSON.parse(data.carouselBreakpoints);
+        } catch (error) {
+          console.error('Carousel: Invalid data-carousel-breakpoints JSON', error);
+        }
+      }
+
+      return options;
+    }
+
+    /**
+     * Create a controller for every matching container that does not have one
+     * @param {ParentNode} root - Element or document to search
+     * @param {string} selector - Container selector
+     * @returns {CarouselController[]} Controllers for all matching containers
+     */
+    static autoInit(root = document, selector = AUTO_INIT_SELECTOR) {
+      return Array.from(root.querySelectorAll(selector)).map((container) => {
+        return instances.get(container) || new CarouselController(container);
+      });
+    }
+
+    /**
+     * Get the controller attached to a container
+     * @param {HTMLElement} container - Carousel container element
+     * @returns {CarouselController|null}
+     */
+    static get(container) {
+      return instances.get(container) || null;
+    }
+
+    /**
+     * Destroy every registered controller
+     */
+    static destroyAll() {
+      Array.from(instances.values()).forEach((controller) => controller.destroy());
+    }
+
+    /**
+     * Register a named plugin for data-carousel-plugins. Existing carousels
+     * that list the name get it installed immediately.
+     * @param {string} name - Plugin name used in markup
+     * @param {Function|Object} plugin - Plugin (see use())
+     */
+    static registerPlugin(name, plugin) {
+      pluginRegistry.set(name, plugin);
+
+      instances.forEach((controller, container) => {
+        if (!controller.isDisabled && CarouselController.getDeclaredPlugins(container).includes(name)) {
+          controller.use(plugin);
+        }
+      });
+    }
+
+    /**
+     * Register a custom transition effect, usually built on the Web
+     * Animations API (see the built-in effects for the contract)
+     * @param {string} name - Effect name used in options and data-carousel-effect
+     * @param {Object} effect - Effect with animate() and optional layout, setup, teardown and jump
+     */
+    static registerEffect(name, effect) {
+      if (!effect || typeof effect.animate !== 'function') {
+        throw new TypeError('Carousel: Effect must have an animate() method');
+      }
+
+      effects.set(name, { layout: 'track', ...effect });
+    }
+
+    /**
+     * Get plugin names listed in data-carousel-plugins
+     * @param {HTMLElement} container - Carousel container element
+     * @returns {string[]} Plugin names
+     */
+    static getDeclaredPlugins(container) {
+      return (container.dataset.carouselPlugins || '').split(/[\s,]+/).filter(Boolean);
+    }
+  }
+
+  // CSS width of thumbnail images; density descriptors cover high-DPI screens
+  const THUMBNAIL_IMAGE_WIDTH = 88;
+
+  /**
+   * Thumbnail strip plugin: a tablist of small previews built from each
+   * slide's image and .template-name, kept in sync with goToSlide().
+   * Enable with data-carousel-plugins="thumbnails". The strip is rendered
+   * into [data-carousel-thumbnails] or inserted after the container.
+   */
+  const thumbnailsPlugin = {
+    name: 'thumbnails',
+
+    /**
+     * @param {CarouselController} carousel - Controller
+     * @param {Object} options - { container, label }
+     * @returns {Function} Teardown
+     */
+    install(carousel, options = {}) {
+      const { container } = carousel;
+      const existing = options.container
+        || (container.id && document.querySelector(`[data-carousel-thumbnails="${container.id}"]`))
+        || container.querySelector('[data-carousel-thumbnails]');
+      const strip = existing || document.createElement('div');
+      let thumbnails = [];
+      let selectedIndex = carousel.currentIndex;
+
+      strip.classList.add('carousel-thumbnails');
+      strip.setAttribute('role', 'tablist');
+      if (!strip.hasAttribute('aria-label')) {
+        strip.setAttribute('aria-label', options.label || 'Choose a slide');
+      }
+      if (!existing) {
+        container.insertAdjacentElement('afterend', strip);
+      }
+
+      const createThumbnail = (slide, index) => {
+        const thumbnail = document.createElement('button');
+        const nameElement = slide.querySelector('.template-name');
+        const name = nameElement ? nameElement.textContent.trim() : `Slide ${index + 1}`;
+        const image = slide.querySelector('img');
+
+        thumbnail.type = 'button';
+        thumbnail.className = 'carousel-thumbnail';
+        thumbnail.setAttribute('role', 'tab');
+        thumbnail.dataset.index = String(index);
+        if (carousel.track.id) {
+          thumbnail.setAttribute('aria-controls', carousel.track.id);
+        }
+
+        if (image) {
+          const preview = document.createElement('img');
+          const lazyLoad = getLazyLoader();
+          preview.alt = '';
+          preview.loading = 'lazy';
+          preview.decoding = 'async';
+          if (lazyLoad) {
+            preview.dataset.src = getImageBaseSource(image);
+            preview.dataset.width = String(THUMBNAIL_IMAGE_WIDTH);
+            // The thumbnail is already a button; no "Load image" box inside it
+            preview.dataset.clickToLoad = 'false';
+            lazyLoad.observe(preview);
+          } else {
+            preview.src = getImageBaseSource(image);
+          }
+          thumbnail.appendChild(preview);
+        }
+
+        const label = document.createElement('span');
+        label.className = 'carousel-thumbnail-label';
+        label.textContent = name;
+        thumbnail.appendChild(label);
+
+        return thumbnail;
+      };
+
+      // Scroll the strip itself so the page does not jump. Measured on
+      // screen, which also holds for RTL strips with negative scrollLeft
+      const scrollIntoView = (thumbnail) => {
+        const stripRect = strip.getBoundingClientRect();
+        const rect = thumbnail.getBoundingClientRect();
+        let offset = 0;
+
+        if (rect.left < stripRect.left) {
+          offset = rect.left - stripRect.left;
+        } else if (rect.right > stripRect.right) {
+          offset = rect.right - stripRect.right;
+        }
+
+        if (offset !== 0 && typeof strip.scrollBy === 'function') {
+          strip.scrollBy({ left: offset, behavior: carousel.prefersReducedMotion() ? 'auto' : 'smooth' });
+        }
+      };
+
+      const update = () => {
+        if (!carousel.isSlideVisible(selectedIndex)) {
+          selectedIndex = carousel.currentIndex;
+        }
+
+        thumbnails.forEach((thumbnail, index) => {
+          const selected = index === selectedIndex;
+          thumbnail.setAttribute('aria-selected', String(selected));
+          thumbnail.tabIndex = selected ? 0 : -1;
+          thumbnail.classList.toggle('is-visible', carousel.isSlideVisible(index));
+        });
+
+        if (thumbnails[selectedIndex]) {
+          scrollIntoView(thumbnails[selectedIndex]);
+        }
+      };
+
+      const render = () => {
+        const hadFocus = strip.contains(document.activeElement);
+
+        thumbnails.forEach((thumbnail) => thumbnail.remove());
+        thumbnails = carousel.slides.map(createThumbnail);
+        thumbnails.forEach((thumbnail) => strip.appendChild(thumbnail));
+        selectedIndex = carousel.currentIndex;
+        update();
+
+        if (hadFocus && thumbnails[selectedIndex]) {
+          thumbnails[selectedIndex].focus();
+        }
+      };
+
+      const select = (index) => {
+        selectedIndex = index;
+        carousel.goToSlide(index, 'thumbnail');
+        update();
+      };
+
+      const handleClick = (e) => {
+        const thumbnail = e.target.closest('.carousel-thumbnail');
+        if (thumbnail && strip.contains(thumbnail)) {
+          select(Number(thumbnail.dataset.index));
+        }
+      };
+
+      // Roving tabindex: arrows move between thumbnails and select them.
+      // The strip is a row, so left and right follow the writing direction
+      const handleKeydown = (e) => {
+        const current = thumbnails.indexOf(e.target);
+        if (current === -1) return;
+
+        const last = thumbnails.length - 1;
+        const direction = carousel.getKeyDirection(e.key, false) || carousel.getKeyDirection(e.key, true);
+        let next;
+
+        switch (direction || e.key) {
+          case 'prev':
+            next = current > 0 ? current - 1 : last;
+            break;
+          case 'next':
+            next = current < last ? current + 1 : 0;
+            break;
+          case 'Home':
+            next = 0;
+            break;
+          case 'End':
+            next = last;
+            break;
+          default:
+            return;
+        }
+
+        // Keep the container's own arrow-key handling out of the strip
+        e.preventDefault();
+        e.stopPropagation();
+        select(next);
+        thumbnails[next].focus();
+      };
+
+      const handleChange = (e) => {
+        if (e.detail.source !== 'thumbnail') {
+          selectedIndex = e.detail.to;
+        }
+        update();
+      };
+
+      strip.addEventListener('click', handleClick);
+      strip.addEventListener('keydown', handleKeydown);
+      container.addEventListener('carousel:change', handleChange);
+      container.addEventListener('carousel:layoutchange', update);
+      container.addEventListener('carousel:slideschange', render);
+      render();
+
+      return () => {
+        strip.removeEventListener('click', handleClick);
+        strip.removeEventListener('keydown', handleKeydown);
+        container.removeEventListener('carousel:change', handleChange);
+        container.removeEventListener('carousel:layoutchange', update);
+        container.removeEventListener('carousel:slideschange', render);
+        thumbnails.forEach((thumbnail) => thumbnail.remove());
+        if (!existing) {
+          strip.remove();
+        }
+      };
+    }
+  };
+
+  CarouselController.registerPlugin('thumbnails', thumbnailsPlugin);
+
+  // Lightbox zoom limits, wheel sensitivity and the preview image width
+  // used when srcset is not supported
+  const LIGHTBOX_MAX_SCALE = 4;
+  const LIGHTBOX_ZOOM_STEP = 1.5;
+  const LIGHTBOX_WHEEL_SPEED = 0.0015;
+  const LIGHTBOX_IMAGE_WIDTH = 1600;
+
+  const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  let lightboxCount = 0;
+
+  /**
+   * Lightbox plugin: clicking a slide, or pressing Enter on it, opens a
+   * modal preview with wheel and pinch zoom, panning and prev/next that
+   * keeps the carousel in step. Focus is trapped while open and returned
+   * through window.returnFocus (main.js) on close.
+   * Enable with data-carousel-plugins="lightbox".
+   */
+  const lightboxPlugin = {
+    name: 'lightbox',
+
+    /**
+     * @param {CarouselController} carousel - Controller
+     * @param {Object} options - { closeLabel }
+     * @returns {Function} Teardown
+     */
+    install(carousel, options = {}) {
+      const { container, track } = carousel;
+      const titleId = `carousel-lightbox-title-${++lightboxCount}`;
+      const pointers = new Map();
+      const view = { scale: 1, x: 0, y: 0 };
+      let dialog = null;
+      let elements = null;
+      let index = 0;
+      let pinch = null;
+      let opener = null;
+
+      const createButton = (className, label, text) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.setAttribute('aria-label', label);
+        button.textContent = text;
+        return button;
+      };
+
+      const render = () => {
+        dialog = document.createElement('div');
+        dialog.className = 'carousel-lightbox';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', titleId);
+        dialog.hidden = true;
+
+        const header = document.createElement('div');
+        header.className = 'carousel-lightbox-header';
+
+        const title = document.createElement('h2');
+        title.className = 'carousel-lightbox-title';
+        title.id = titleId;
+
+        const counter = document.createElement('span');
+        counter.className = 'carousel-lightbox-counter';
+
+        const zoomOut = createButton('carousel-lightbox-zoom-out', 'Zoom out', '−');
+        const zoomIn = createButton('carousel-lightbox-zoom-in', 'Zoom in', '+');
+        const close = createButton('carousel-lightbox-close', options.closeLabel || 'Close preview', '×');
+
+        const viewport = document.createElement('div');
+        viewport.className = 'carousel-lightbox-viewport';
+
+        const image = document.createElement('img');
+        image.className = 'carousel-lightbox-image';
+        image.draggable = false;
+        viewport.appendChild(image);
+
+        const prev = createButton('carousel-lightbox-prev', 'Previous template', '‹');
+        const next = createButton('carousel-lightbox-next', 'Next template', '›');
+
+        header.append(title, counter, zoomOut, zoomIn, close);
+        dialog.append(header, viewport, prev, next);
+        document.body.appendChild(dialog);
+
+        elements = { title, counter, zoomOut, zoomIn, close, viewport, image, prev, next };
+
+        close.addEventListener('click', () => closeLightbox());
+        zoomIn.addEventListener('click', () => zoomTo(view.scale * LIGHTBOX_ZOOM_STEP));
+        zoomOut.addEventListener('click', () => zoomTo(view.scale / LIGHTBOX_ZOOM_STEP));
+        prev.addEventListener('click', () => step(-1));
+        next.addEventListener('click', () => step(1));
+        dialog.addEventListener('keydown', handleKeydown);
+        viewport.addEventListener('wheel', handleWheel, { passive: false });
+        viewport.addEventListener('pointerdown', handlePointerDown);
+        viewport.addEventListener('pointermove', handlePointerMove);
+        viewport.addEventListener('pointerup', handlePointerUp);
+        viewport.addEventListener('pointercancel', handlePointerUp);
+        viewport.addEventListener('dblclick', (e) => {
+          zoomTo(view.scale > 1 ? 1 : LIGHTBOX_ZOOM_STEP * LIGHTBOX_ZOOM_STEP, getOrigin(e));
+        });
+      };
+
+      // Point relative to the viewport centre, where the image is centred
+      const getOrigin = (point) => {
+        const rect = elements.viewport.getBoundingClientRect();
+        return {
+          x: point.clientX - (rect.left + rect.width / 2),
+          y: point.clientY - (rect.top + rect.height / 2)
+        };
+      };
+
+      // Keep the zoomed image covering the viewport while panning
+      const clampPan = () => {
+        const { viewport, image } = elements;
+        const maxX = Math.max(0, (image.offsetWidth * view.scale - viewport.clientWidth) / 2);
+        const maxY = Math.max(0, (image.offsetHeight * view.scale - viewport.clientHeight) / 2);
+        view.x = Math.min(Math.max(view.x, -maxX), maxX);
+        view.y = Math.min(Math.max(view.y, -maxY), maxY);
+      };
+
+      const applyView = () => {
+        clampPan();
+        elements.image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        elements.zoomOut.disabled = view.scale <= 1;
+        elements.zoomIn.disabled = view.scale >= LIGHTBOX_MAX_SCALE;
+        dialog.classList.toggle('is-zoomed', view.scale > 1);
+      };
+
+      /**
+       * Zoom keeping the point under the origin in place
+       * @param {number} scale - Target scale
+       * @param {Object} origin - { x, y } relative to the viewport centre
+       */
+      const zoomTo = (scale, origin = { x: 0, y: 0 }) => {
+        const nextScale = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_SCALE);
+        const ratio = nextScale / view.scale;
+        view.x = origin.x - (origin.x - view.x) * ratio;
+        view.y = origin.y - (origin.y - view.y) * ratio;
+        view.scale = nextScale;
+        applyView();
+      };
+
+      const resetView = () => {
+        view.scale = 1;
+        view.x = 0;
+        view.y = 0;
+        applyView();
+      };
+
+      const setLightboxImage = (image) => {
+        const lazyLoad = getLazyLoader();
+        const source = image ? getImageBaseSource(image) : '';
+
+        if (lazyLoad && source) {
+          lazyLoad.applyResponsiveSource(elements.image, source, {
+            sizes: '100vw',
+            fallbackWidth: LIGHTBOX_IMAGE_WIDTH
+          });
+        } else {
+          elements.image.src = source;
+        }
+        elements.image.alt = image ? image.alt : '';
+      };
+
+      const show = (slideIndex) => {
+        const slide = carousel.slides[slideIndex];
+        if (!slide) return;
+
+        const image = slide.querySelector('img');
+        const nameElement = slide.querySelector('.template-name');
+        const total = carousel.slides.length;
+
+        index = slideIndex;
+        elements.title.textContent = nameElement ? nameElement.textContent.trim() : `Slide ${index + 1}`;
+        elements.counter.textContent = `${index + 1} of ${total}`;
+        setLightboxImage(image);
+        elements.prev.disabled = !carousel.config.loop && index === 0;
+        elements.next.disabled = !carousel.config.loop && index === total - 1;
+        resetView();
+      };
+
+      // Bring the carousel to the next slide first, so the preview only
+      // moves when the carousel does (not mid-transition or cancelled)
+      const step = (delta) => {
+        const total = carousel.slides.length;
+        let target = index + delta;
+        const wraps = target < 0 || target >= total;
+
+        if (wraps) {
+          if (!carousel.config.loop) return;
+          target = (target + total) % total;
+        }
+
+        if (!carousel.isSlideVisible(target)) {
+          if (wraps && carousel.isSeamless()) {
+            carousel.navigate(delta > 0 ? 'next' : 'prev', 'lightbox');
+          } else {
+            carousel.goToSlide(target, 'lightbox');
+          }
+        }
+
+        if (carousel.isSlideVisible(target)) {
+          show(target);
+        }
+      };
+
+      const openLightbox = (slideIndex) => {
+        if (!dialog) {
+          render();
+        }
+
+        opener = document.activeElement;
+        show(slideIndex);
+        dialog.hidden = false;
+        document.body.classList.add('has-lightbox');
+        carousel.pauseAutoRotate('lightbox');
+        elements.close.focus();
+        carousel.emit('lightbox-open', { index });
+      };
+
+      const closeLightbox = () => {
+        if (!dialog || dialog.hidden) return;
+
+        dialog.hidden = true;
+        pointers.clear();
+        pinch = null;
+        document.body.classList.remove('has-lightbox');
+        carousel.startAutoRotate('lightbox');
+
+        if (typeof window.returnFocus === 'function') {
+          window.returnFocus();
+        } else if (opener && typeof opener.focus === 'function') {
+          opener.focus();
+        }
+
+        carousel.emit('lightbox-close', { index });
+      };
+
+      const trapFocus = (e) => {
+        const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      };
+
+      function handleKeydown(e) {
+        switch (e.key) {
+          case 'Escape':
+            e.preventDefault();
+            closeLightbox();
+            break;
+          case 'Tab':
+            trapFocus(e);
+            break;
+          case 'ArrowLeft':
+          case 'ArrowRight':
+            e.preventDefault();
+            step(carousel.getKeyDirection(e.key, false) === 'next' ? 1 : -1);
+            break;
+          case '+':
+          case '=':
+            e.preventDefault();
+            zoomTo(view.scale * LIGHTBOX_ZOOM_STEP);
+            break;
+          case '-':
+            e.preventDefault();
+            zoomTo(view.scale / LIGHTBOX_ZOOM_STEP);
+            break;
+          case '0':
+            e.preventDefault();
+            resetView();
+            break;
+        }
+      }
+
+      function handleWheel(e) {
+        e.preventDefault();
+        zoomTo(view.scale * Math.exp(-e.deltaY * LIGHTBOX_WHEEL_SPEED), getOrigin(e));
+      }
+
+      const getPinch = () => {
+        const [a, b] = Array.from(pointers.values());
+        return {
+          distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY) || 1,
+          center: { clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 }
+        };
+      };
+
+      function handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+        if (elements.viewport.setPointerCapture) {
+          elements.viewport.setPointerCapture(e.pointerId);
+        }
+
+        if (pointers.size === 2) {
+          pinch = { ...getPinch(), scale: view.scale };
+        }
+      }
+
+      function handlePointerMove(e) {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+
+        pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+
+        if (pinch && pointers.size === 2) {
+          const current = getPinch();
+          zoomTo(pinch.scale * current.distance / pinch.distance, getOrigin(current.center));
+        } else if (pointers.size === 1 && view.scale > 1) {
+          view.x += e.clientX - previous.clientX;
+          view.y += e.clientY - previous.clientY;
+          applyView();
+        }
+      }
+
+      function handlePointerUp(e) {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) {
+          pinch = null;
+        }
+      }
+
+      // Slides (or clones standing in for them) on screen can take focus
+      // so Enter opens them
+      const syncSlides = () => {
+        const inView = carousel.getElementsInView();
+        carousel.slides.concat(carousel.clones).forEach((slide) => {
+          slide.tabIndex = inView.includes(slide) ? 0 : -1;
+          slide.classList.add('has-lightbox');
+        });
+      };
+
+      const getSlideIndex = (target) => {
+        const slide = target.closest('.carousel-slide');
+        if (!slide) return -1;
+        if (slide.hasAttribute('data-carousel-clone-of')) {
+          return Number(slide.dataset.carouselCloneOf);
+        }
+        return carousel.slides.indexOf(slide);
+      };
+
+      const handleClick = (e) => {
+        if (e.target.closest('a, button')) return;
+
+        const slideIndex = getSlideIndex(e.target);
+        if (slideIndex !== -1) {
+          openLightbox(slideIndex);
+        }
+      };
+
+      const handleSlideKeydown = (e) => {
+        if (e.key !== 'Enter' || !e.target.classList.contains('carousel-slide')) return;
+
+        const slideIndex = getSlideIndex(e.target);
+        if (slideIndex !== -1) {
+          e.preventDefault();
+          openLightbox(slideIndex);
+        }
+      };
+
+      // Follow slide changes made while the preview is open
+      const handleChange = (e) => {
+        syncSlides();
+        if (dialog && !dialog.hidden && e.detail.source !== 'lightbox') {
+          show(e.detail.to);
+        }
+      };
+
+      const handleSlidesChange = () => {
+        syncSlides();
+        if (dialog && !dialog.hidden) {
+          if (carousel.slides.length === 0) {
+            closeLightbox();
+          } else {
+            show(Math.min(index, carousel.slides.length - 1));
+          }
+        }
+      };
+
+      track.addEventListener('click', handleClick);
+      container.addEventListener('keydown', handleSlideKeydown);
+      container.addEventListener('carousel:change', handleChange);
+      container.addEventListener('carousel:layoutchange', syncSlides);
+      container.addEventListener('carousel:slideschange', handleSlidesChange);
+      syncSlides();
+
+      return () => {
+        closeLightbox();
+        track.removeEventListener('click', handleClick);
+        container.removeEventListener('keydown', handleSlideKeydown);
+        container.removeEventListener('carousel:change', handleChange);
+        container.removeEventListener('carousel:layoutchange', syncSlides);
+        container.removeEventListener('carousel:slideschange', handleSlidesChange);
+        carousel.slides.concat(carousel.clones).forEach((slide) => {
+          slide.removeAttribute('tabindex');
+          slide.classList.remove('has-lightbox');
+        });
+        if (dialog) {
+          dialog.remove();
+        }
+      };
+    }
+  };
+
+  CarouselController.registerPlugin('lightbox', lightboxPlugin);
+
+  // Create controllers for declarative markup once the DOM is ready
+  if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => CarouselController.autoInit());
+    } else {
+      CarouselController.autoInit();
     }
   }
 
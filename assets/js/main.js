@@ -6,15 +6,12 @@
 (function() {
   'use strict';
 
-  // Performance monitoring
-  const performanceMonitor = {
-    marks: new Map(),
-    
+  // Minimal User Timing fallback used when performance.js is not loaded
+  const fallbackMonitor = {
     mark(name) {
       if (typeof performance !== 'undefined' && performance.mark) {
         try {
           performance.mark(name);
-          this.marks.set(name, performance.now());
         } catch (e) {
           console.warn('Performance marking failed:', e);
         }
@@ -25,55 +22,37 @@
       if (typeof performance !== 'undefined' && performance.measure) {
         try {
           performance.measure(name, startMark, endMark);
-          const measure = performance.getEntriesByName(name)[0];
-          if (measure) {
-            console.log(`${name}: ${measure.duration.toFixed(2)}ms`);
-          }
         } catch (e) {
           console.warn('Performance measurement failed:', e);
         }
       }
-    },
-    
-    reportWebVitals() {
-      if (typeof PerformanceObserver === 'undefined') return;
-      
-      try {
-        // Largest Contentful Paint
-        const lcpObserver = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          console.log('LCP:', lastEntry.renderTime || lastEntry.loadTime);
-        });
-        lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-        
-        // First Input Delay
-        const fidObserver = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          entries.forEach((entry) => {
-            console.log('FID:', entry.processingStart - entry.startTime);
-          });
-        });
-        fidObserver.observe({ entryTypes: ['first-input'] });
-        
-        // Cumulative Layout Shift
-        let clsValue = 0;
-        const clsObserver = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          entries.forEach((entry) => {
-            if (!entry.hadRecentInput) {
-              clsValue += entry.value;
-              console.log('CLS:', clsValue);
-            }
-          });
-        });
-        clsObserver.observe({ entryTypes: ['layout-shift'] });
-      } catch (e) {
-        console.warn('Web Vitals monitoring failed:', e);
-      }
     }
   };
 
+  /**
+   * Get the shared PerformanceMonitor from performance.js, which owns the
+   * Web Vitals observers and structured log stream
+   * @returns {Object} Monitor with mark() and measure()
+   */
+  function getPerformanceMonitor() {
+    if (window.PerformanceUtils && window.PerformanceUtils.monitor) {
+      return window.PerformanceUtils.monitor;
+    }
+    return fallbackMonitor;
+  }
+
+  /**
+   * Get the connection-aware loading strategy from performance.js; without
+   * it everything is enabled
+   * @returns {Object} Strategy with loadImages, imageQuality, enableAnimations and preloadCount
+   */
+  function getLoadingStrategy() {
+    if (window.PerformanceUtils && window.PerformanceUtils.connection) {
+      return window.PerformanceUtils.connection.getLoadingStrategy();
+    }
+    return { loadImages: true, imageQuality: 80, enableAnimations: true, preloadCount: 3 };
+  }
+
   // Reduced motion detection
   const prefersReducedMotion = () => {
     if (typeof window === 'undefined' || !window.matchMedia) return false;
@@ -116,6 +95,11 @@
 
   // Initialize animations
   function initAnimations() {
+    if (!getLoadingStrategy().enableAnimations) {
+      disableAnimations();
+      return;
+    }
+
     if (!animationObserver || prefersReducedMotion()) return;
     
     const animatedElements = document.querySelectorAll('[data-animate-fade-in]');
@@ -124,8 +108,36 @@
     });
   }
 
+  // Show animated content as-is on slow and Save-Data connections
+  function disableAnimations() {
+    document.documentElement.classList.add('animations-disabled');
+
+    if (animationObserver) {
+      document.querySelectorAll('[data-animate-fade-in]').forEach((el) => {
+        animationObserver.unobserve(el);
+      });
+    }
+  }
+
+  // Follow connection changes; animations that are off stay off so
+  // content already shown does not fade in again
+  function watchConnection() {
+    if (!window.PerformanceUtils || !window.PerformanceUtils.connection) return;
+
+    window.PerformanceUtils.connection.onChange((strategy) => {
+      if (!strategy.enableAnimations) {
+        disableAnimations();
+      }
+    });
+  }
+
   // Initialize lazy loading
   function initLazyLoading() {
+    // performance.js loads images itself, with responsive srcset and sizes
+    if (window.PerformanceUtils && window.PerformanceUtils.lazyLoad) {
+      return;
+    }
+
     if (!imageObserver) {
       // Fallback: load all images immediately
       document.querySelectorAll('img[data-src]').forEach((img) => {
@@ -176,8 +188,11 @@
     // Store last focused element before navigation
     let lastFocusedElement = null;
     
+    // Focus inside modal dialogs is not a place to return to
     document.addEventListener('focusin', (e) => {
-      lastFocusedElement = e.target;
+      if (!e.target.closest('[aria-modal="true"]')) {
+        lastFocusedElement = e.target;
+      }
     });
 
     // Return focus helper
@@ -204,72 +219,202 @@
     }, 1000);
   }
 
-  // Form validation with accessibility
+  // Waitlist form controller backed by the FormValidation module
   function initFormValidation() {
     const form = document.querySelector('form');
     if (!form) return;
 
-    const emailInput = form.querySelector('#email');
-    const emailError = form.querySelector('#email-error');
+    const validation = window.FormValidation;
+    if (!validation) {
+      console.warn('FormValidation module not loaded; falling back to native form submission');
+      return;
+    }
 
-    if (!emailInput || !emailError) return;
+    const schema = validation.createSchemaFromForm(form);
+    const fields = validation.wireFieldErrors(form, schema);
+    const submitButton = form.querySelector('button[type="submit"]');
+    const touchedFields = new Set();
+    let isSubmitting = false;
 
-    emailInput.addEventListener('blur', () => {
-      validateEmail(emailInput, emailError);
-    });
+    if (Object.keys(fields).length === 0) return;
 
-    emailInput.addEventListener('input', () => {
-      if (emailInput.getAttribute('aria-invalid') === 'true') {
-        validateEmail(emailInput, emailError);
+    validation.spamGuard.attach(form);
+
+    // Conditionally required fields (e.g. experience unless role=student)
+    // keep aria-required in step with the values they depend on
+    const updateRequiredStates = () => validation.updateRequiredStates(form, schema);
+    updateRequiredStates();
+    form.addEventListener('input', updateRequiredStates);
+    form.addEventListener('change', updateRequiredStates);
+
+    // Offer "did you mean" fixes for common email domain typos
+    const updateEmailSuggestion = (field) => {
+      const hintElement = document.getElementById(`${field.id}-hint`);
+      if (!hintElement) return;
+
+      const { suggestion } = validation.validateEmail(field.value);
+      if (suggestion) {
+        validation.showEmailSuggestion(field, hintElement, suggestion);
+      } else {
+        validation.clearEmailSuggestion(hintElement);
+      }
+    };
+
+    const validateNamedField = (name) => {
+      const { field, errorElement } = fields[name];
+      const result = validation.validateField(form, name, schema);
+      validation.updateInputState(field, errorElement, result.isValid, result.message);
+
+      if (field.type === 'email') {
+        updateEmailSuggestion(field);
       }
+
+      return result.isValid;
+    };
+
+    // Re-check fields already flagged invalid, since cross-field rules
+    // (e.g. experience depending on role) can clear them
+    const revalidateInvalidFields = (exceptName) => {
+      Object.keys(fields).forEach((name) => {
+        if (name !== exceptName && fields[name].field.getAttribute('aria-invalid') === 'true') {
+          validateNamedField(name);
+        }
+      });
+    };
+
+    Object.keys(fields).forEach((name) => {
+      const { field } = fields[name];
+
+      // Live validation only kicks in once the user has left the field once,
+      // so we don't flag a value as invalid while it is still being typed
+      const debouncedValidate = validation.debounce(() => {
+        if (touchedFields.has(name) || field.getAttribute('aria-invalid') === 'true') {
+          validateNamedField(name);
+        }
+        revalidateInvalidFields(name);
+      }, validation.CONSTRAINTS.debounceDelay);
+
+      field.addEventListener('blur', () => {
+        touchedFields.add(name);
+        validateNamedField(name);
+      });
+
+      if (field.type === 'checkbox' || field.tagName === 'SELECT') {
+        field.addEventListener('change', () => {
+          touchedFields.add(name);
+          debouncedValidate();
+        });
+      } else {
+        field.addEventListener('input', debouncedValidate);
+      }
+    });
+
+    // Confirm delivery of signups that were saved while offline
+    window.addEventListener('submissionqueue:sent', () => {
+      validation.showFormFeedback(form, true, validation.VALIDATION_MESSAGES.queueSent);
     });
 
     form.addEventListener('submit', (e) => {
       e.preventDefault();
-      
-      const isValid = validateEmail(emailInput, emailError);
-      
-      if (isValid) {
-        const submitButton = form.querySelector('button[type="submit"]');
-        if (submitButton) {
-          submitButton.setAttribute('aria-busy', 'true');
-          submitButton.disabled = true;
+
+      if (isSubmitting) return;
+
+      const result = validation.validateForm(form, schema);
+      const firstInvalid = validation.applyFormErrors(fields, result.errors);
+
+      if (!result.isValid) {
+        if (firstInvalid) {
+          firstInvalid.focus();
         }
-        
-        announceToScreenReader('Form submitted successfully', 'assertive');
-        
-        // Simulate form submission
-        setTimeout(() => {
+        return;
+      }
+
+      isSubmitting = true;
+      if (submitButton) {
+        validation.updateButtonState(submitButton, true);
+      }
+
+      const data = validation.getFormData(form);
+      const requestOptions = { action: form.getAttribute('action') || undefined };
+
+      const resetForm = () => {
+        touchedFields.clear();
+        validation.resetFormState(form);
+        validation.applyFormErrors(fields, {});
+        updateRequiredStates();
+      };
+
+      const sendSubmission = (payload, options) => validation
+        .submitFormData(payload, validation.CONSTRAINTS.submitTimeout, options)
+        .then(() => {
+          validation.spamGuard.recordSubmission();
+          resetForm();
+          validation.showFormFeedback(form, true, validation.VALIDATION_MESSAGES.success);
+        })
+        .catch((error) => {
+          console.error('Form submission failed:', error);
+
+          if (!validation.isQueueableError(error)) {
+            validation.showFormFeedback(form, false, validation.getSubmitErrorMessage(error));
+            return undefined;
+          }
+
+          // Couldn't reach the server: keep the signup and replay it later
+          return validation.submissionQueue.enqueue(payload, { ...options, error })
+            .then(() => {
+              validation.spamGuard.recordSubmission();
+              resetForm();
+              validation.showFormFeedback(form, 'queued', validation.VALIDATION_MESSAGES.queued);
+            })
+            .catch((queueError) => {
+              console.error('Failed to queue submission:', queueError);
+              validation.showFormFeedback(form, false, validation.getSubmitErrorMessage(error));
+            });
+        });
+
+      validation.spamGuard.protect(form, data)
+        .then((guard) => {
+          if (guard.reason === 'rate_limited') {
+            validation.showFormFeedback(form, false, validation.VALIDATION_MESSAGES.rateLimited);
+            return undefined;
+          }
+
+          if (!guard.passed) {
+            // Honeypot hit: pretend the signup went through so bots learn nothing
+            resetForm();
+            validation.showFormFeedback(form, true, validation.VALIDATION_MESSAGES.success);
+            return undefined;
+          }
+
+          return sendSubmission(guard.data, { ...requestOptions, proofOfWork: guard.proofOfWork });
+        })
+        .finally(() => {
+          isSubmitting = false;
           if (submitButton) {
-            submitButton.setAttribute('aria-busy', 'false');
-            submitButton.disabled = false;
+            validation.updateButtonState(submitButton, false);
           }
-          announceToScreenReader('Thank you for joining our waitlist!', 'polite');
-          form.reset();
-        }, 1000);
-      }
+        });
     });
   }
 
-  function validateEmail(input, errorElement) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const value = input.value.trim();
-    
-    if (!value) {
-      input.setAttribute('aria-invalid', 'true');
-      errorElement.textContent = 'Email address is required';
-      return false;
+  // Resolve an in-page link target; deep links such as
+  // "#templates/creative-bold" resolve to their section (#templates)
+  function getHashTarget(hash) {
+    let id;
+    try {
+      id = decodeURIComponent(hash.slice(1).split('/')[0]);
+    } catch (error) {
+      return null;
     }
-    
-    if (!emailRegex.test(value)) {
-      input.setAttribute('aria-invalid', 'true');
-      errorElement.textContent = 'Please enter a valid email address';
-      return false;
+    return id ? document.getElementById(id) : null;
+  }
+
+  function scrollToTarget(target) {
+    if (prefersReducedMotion()) {
+      target.scrollIntoView();
+    } else {
+      target.scrollIntoView({ behavior: 'smooth' });
     }
-    
-    input.setAttribute('aria-invalid', 'false');
-    errorElement.textContent = '';
-    return true;
   }
 
   // Smooth scroll with reduced motion support
@@ -279,16 +424,15 @@
         const href = this.getAttribute('href');
         if (href === '#') return;
         
-        const target = document.querySelector(href);
+        const target = getHashTarget(href);
         if (target) {
-          e.preventDefault();
-          
-          if (prefersReducedMotion()) {
-            target.scrollIntoView();
-          } else {
-            target.scrollIntoView({ behavior: 'smooth' });
+          // Deep links still update the URL so the carousel can follow them
+          if (!href.includes('/')) {
+            e.preventDefault();
           }
           
+          scrollToTarget(target);
+          
           // Set focus to target for accessibility
           if (target.hasAttribute('tabindex')) {
             target.focus();
@@ -302,18 +446,25 @@
         }
       });
     });
+
+    // Browsers cannot scroll to "#templates/slug" or "?template=slug" links
+    // themselves; carousel.js marks the carousel that opened from one
+    const linkedCarousel = document.querySelector('[data-carousel-linked]');
+    if (linkedCarousel) {
+      scrollToTarget(linkedCarousel.closest('[id]') || linkedCarousel);
+    }
   }
 
   // Initialize all features
   function init() {
+    // Web Vitals are observed by performance.js itself
+    const performanceMonitor = getPerformanceMonitor();
     performanceMonitor.mark('init-start');
     
     try {
-      // Start performance monitoring
-      performanceMonitor.reportWebVitals();
-      
       // Initialize features
       initAnimations();
+      watchConnection();
       initLazyLoading();
       enhanceKeyboardNavigation();
       manageFocus();
@@ -341,7 +492,8 @@
   // Export for testing purposes
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-      performanceMonitor,
+      getPerformanceMonitor,
+      getLoadingStrategy,
       prefersReducedMotion,
       announceToScreenReader
     };
@@ -7,6 +7,38 @@
 (function() {
   'use strict';
 
+  // Log levels that are forwarded to reporters
+  const REPORTABLE_LEVELS = ['vital', 'resource', 'mark', 'measure'];
+
+  // sessionStorage keys for the reporting session
+  const SESSION_ID_KEY = 'performance:session-id';
+  const SESSION_SAMPLED_KEY = 'performance:sampled';
+
+  // CLS session windows: shifts less than 1s apart, capped at 5s per window
+  const CLS_SESSION_GAP = 1000;
+  const CLS_SESSION_MAX = 5000;
+
+  // INP considers the slowest interactions; one outlier is ignored per 50
+  const INP_DURATION_THRESHOLD = 40;
+  const INP_MAX_TRACKED = 10;
+
+  // Default performance budgets (milliseconds, unitless CLS, bytes, count)
+  const DEFAULT_BUDGETS = {
+    lcp: 2500,
+    cls: 0.1,
+    inp: 200,
+    imageBytes: 500 * 1024,
+    scriptBytes: 200 * 1024,
+    resourceCount: 60
+  };
+
+  // localStorage flag that turns on the budget overlay (alternative to ?perf=1)
+  const OVERLAY_STORAGE_KEY = 'performance:overlay';
+  const OVERLAY_RESOURCE_LIMIT = 5;
+
+  // Unwrap a crossfaded image even if transitionend never fires (CSS fade is 400ms)
+  const CROSSFADE_TIMEOUT = 1000;
+
   /**
    * Performance monitoring utilities with structured logging
    */
@@ -16,8 +48,27 @@
     vitals: {
       lcp: null,
       fid: null,
-      cls: 0
+      cls: 0,
+      inp: null,
+      ttfb: null,
+      fcp: null
+    },
+
+    // Reporting state
+    reporters: [],
+    reportQueue: [],
+    reportConfig: {
+      endpoint: null,
+      sampleRate: 1,
+      maxBatchSize: 50
     },
+    sessionId: null,
+    isSampled: null,
+    flushListenersAttached: false,
+
+    // Every resource seen by the resource observer, for budget checks
+    resources: [],
+    metricListeners: [],
 
     /**
      * Create a performance mark
@@ -87,7 +138,10 @@
 
       this._observeLCP();
       this._observeFID();
+      this._observeINP();
       this._observeCLS();
+      this._observeTTFB();
+      this._observeFCP();
       this._observeResourceTiming();
     },
 
@@ -151,24 +205,118 @@
     },
 
     /**
-     * Observe Cumulative Layout Shift
+     * Observe Interaction to Next Paint
+     * @private
+     */
+    _observeINP() {
+      try {
+        const interactions = new Map();
+        // Every interaction seen, kept apart from the trimmed slowest list so
+        // an id pruned from it is not counted again by a later entry
+        const seenInteractionIds = new Set();
+
+        const handleEntries = (entries) => {
+          entries.forEach((entry) => {
+            if (!entry.interactionId) {
+              return;
+            }
+
+            // Several events (pointerdown, pointerup, click) share one interaction
+            const existing = interactions.get(entry.interactionId);
+            seenInteractionIds.add(entry.interactionId);
+
+            if (!existing || entry.duration > existing.duration) {
+              interactions.set(entry.interactionId, {
+                duration: entry.duration,
+                eventType: entry.name
+              });
+            }
+          });
+
+          // Only the slowest interactions can ever become INP
+          const slowest = Array.from(interactions.entries())
+            .sort((a, b) => b[1].duration - a[1].duration)
+            .slice(0, INP_MAX_TRACKED);
+
+          interactions.clear();
+          slowest.forEach(([id, interaction]) => interactions.set(id, interaction));
+
+          if (slowest.length === 0) {
+            return;
+          }
+
+          const interactionCount = seenInteractionIds.size;
+          const candidate = slowest[Math.min(slowest.length - 1, Math.floor(interactionCount / 50))][1];
+          if (candidate.duration === this.vitals.inp) {
+            return;
+          }
+
+          this.vitals.inp = candidate.duration;
+          this._log('vital', {
+            metric: 'INP',
+            value: candidate.duration.toFixed(2),
+            rating: this._rateINP(candidate.duration),
+            eventType: candidate.eventType,
+            interactions: interactionCount
+          });
+        };
+
+        const inpObserver = new PerformanceObserver((list) => handleEntries(list.getEntries()));
+        inpObserver.observe({
+          type: 'event',
+          durationThreshold: INP_DURATION_THRESHOLD,
+          buffered: true
+        });
+
+        // Quick first interactions can fall under the event duration threshold
+        const firstInputObserver = new PerformanceObserver((list) => handleEntries(list.getEntries()));
+        firstInputObserver.observe({
+          type: 'first-input',
+          buffered: true
+        });
+      } catch (error) {
+        this._logError('Failed to observe INP', error);
+      }
+    },
+
+    /**
+     * Observe Cumulative Layout Shift using session windows: CLS is the
+     * largest total of any burst of shifts, not the sum of every shift
      * @private
      */
     _observeCLS() {
       try {
-        let clsValue = 0;
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShiftTime = 0;
+
         const clsObserver = new PerformanceObserver((list) => {
           const entries = list.getEntries();
           
           entries.forEach((entry) => {
-            if (!entry.hadRecentInput) {
-              clsValue += entry.value;
-              this.vitals.cls = clsValue;
+            if (entry.hadRecentInput) {
+              return;
+            }
+
+            const startsNewSession = sessionValue === 0
+              || entry.startTime - lastShiftTime > CLS_SESSION_GAP
+              || entry.startTime - sessionStart > CLS_SESSION_MAX;
+
+            if (startsNewSession) {
+              sessionValue = 0;
+              sessionStart = entry.startTime;
+            }
+
+            sessionValue += entry.value;
+            lastShiftTime = entry.startTime;
+
+            if (sessionValue > this.vitals.cls) {
+              this.vitals.cls = sessionValue;
               
               this._log('vital', {
                 metric: 'CLS',
-                value: clsValue.toFixed(4),
-                rating: this._rateCLS(clsValue),
+                value: sessionValue.toFixed(4),
+                rating: this._rateCLS(sessionValue),
                 sources: entry.sources ? entry.sources.length : 0
               });
             }
@@ -184,6 +332,73 @@
       }
     },
 
+    /**
+     * Observe Time to First Byte from navigation timing
+     * @private
+     */
+    _observeTTFB() {
+      try {
+        const ttfbObserver = new PerformanceObserver((list) => {
+          const entry = list.getEntries()[0];
+          if (!entry || entry.responseStart <= 0) {
+            return;
+          }
+
+          // Prerendered pages start the clock at activation
+          const ttfbValue = Math.max(entry.responseStart - (entry.activationStart || 0), 0);
+          this.vitals.ttfb = ttfbValue;
+
+          this._log('vital', {
+            metric: 'TTFB',
+            value: ttfbValue.toFixed(2),
+            rating: this._rateTTFB(ttfbValue),
+            navigationType: entry.type
+          });
+        });
+
+        ttfbObserver.observe({ 
+          type: 'navigation', 
+          buffered: true 
+        });
+      } catch (error) {
+        this._logError('Failed to observe TTFB', error);
+      }
+    },
+
+    /**
+     * Observe First Contentful Paint
+     * @private
+     */
+    _observeFCP() {
+      try {
+        const fcpObserver = new PerformanceObserver((list) => {
+          list.getEntries().forEach((entry) => {
+            if (entry.name !== 'first-contentful-paint') {
+              return;
+            }
+
+            const fcpValue = entry.startTime;
+            this.vitals.fcp = fcpValue;
+
+            this._log('vital', {
+              metric: 'FCP',
+              value: fcpValue.toFixed(2),
+              rating: this._rateFCP(fcpValue)
+            });
+
+            fcpObserver.disconnect();
+          });
+        });
+
+        fcpObserver.observe({ 
+          type: 'paint', 
+          buffered: true 
+        });
+      } catch (error) {
+        this._logError('Failed to observe FCP', error);
+      }
+    },
+
     /**
      * Observe resource loading timing
      * @private
@@ -194,6 +409,13 @@
           const entries = list.getEntries();
           
           entries.forEach((entry) => {
+            this.resources.push({
+              type: entry.initiatorType,
+              name: entry.name,
+              duration: entry.duration,
+              bytes: entry.transferSize || entry.encodedBodySize || 0
+            });
+
             if (entry.initiatorType === 'img' || entry.initiatorType === 'css' || entry.initiatorType === 'script') {
               this._log('resource', {
                 type: entry.initiatorType,
@@ -204,6 +426,8 @@
               });
             }
           });
+
+          this._notifyMetricListeners({ level: 'resource', count: entries.length });
         });
 
         resourceObserver.observe({ 
@@ -239,6 +463,42 @@
       return 'poor';
     },
 
+    /**
+     * Rate INP performance
+     * @private
+     * @param {number} value - INP value in milliseconds
+     * @returns {string} Rating (good/needs-improvement/poor)
+     */
+    _rateINP(value) {
+      if (value <= 200) return 'good';
+      if (value <= 500) return 'needs-improvement';
+      return 'poor';
+    },
+
+    /**
+     * Rate TTFB performance
+     * @private
+     * @param {number} value - TTFB value in milliseconds
+     * @returns {string} Rating (good/needs-improvement/poor)
+     */
+    _rateTTFB(value) {
+      if (value <= 800) return 'good';
+      if (value <= 1800) return 'needs-improvement';
+      return 'poor';
+    },
+
+    /**
+     * Rate FCP performance
+     * @private
+     * @param {number} value - FCP value in milliseconds
+     * @returns {string} Rating (good/needs-improvement/poor)
+     */
+    _rateFCP(value) {
+      if (value <= 1800) return 'good';
+      if (value <= 3000) return 'needs-improvement';
+      return 'poor';
+    },
+
     /**
      * Rate CLS performance
      * @private
@@ -252,57 +512,628 @@
     },
 
     /**
-     * Get all collected vitals
-     * @returns {Object} Web Vitals data
+     * Get all collected vitals
+     * @returns {Object} Web Vitals data
+     */
+    getVitals() {
+      return {
+        lcp: this.vitals.lcp,
+        fid: this.vitals.fid,
+        cls: this.vitals.cls,
+        inp: this.vitals.inp,
+        ttfb: this.vitals.ttfb,
+        fcp: this.vitals.fcp,
+        ratings: {
+          lcp: this.vitals.lcp ? this._rateLCP(this.vitals.lcp) : null,
+          fid: this.vitals.fid ? this._rateFID(this.vitals.fid) : null,
+          cls: this._rateCLS(this.vitals.cls),
+          inp: this.vitals.inp !== null ? this._rateINP(this.vitals.inp) : null,
+          ttfb: this.vitals.ttfb !== null ? this._rateTTFB(this.vitals.ttfb) : null,
+          fcp: this.vitals.fcp !== null ? this._rateFCP(this.vitals.fcp) : null
+        }
+      };
+    },
+
+    /**
+     * Get resources recorded by the resource observer
+     * @returns {Object[]} Resources with type, name, duration and bytes
+     */
+    getResources() {
+      return this.resources.slice();
+    },
+
+    /**
+     * Subscribe to live metric updates (vitals and resource batches)
+     * @param {Function} listener - Called with the updated log entry
+     * @returns {Function} Unsubscribe function
+     */
+    onMetric(listener) {
+      this.metricListeners.push(listener);
+      return () => {
+        this.metricListeners = this.metricListeners.filter((registered) => registered !== listener);
+      };
+    },
+
+    /**
+     * Notify metric listeners
+     * @private
+     * @param {Object} entry - Updated metric
+     */
+    _notifyMetricListeners(entry) {
+      this.metricListeners.forEach((listener) => {
+        try {
+          listener(entry);
+        } catch (error) {
+          console.warn('[Performance]', 'Metric listener failed', error);
+        }
+      });
+    },
+
+    /**
+     * Configure batching and delivery of collected metrics
+     * @param {Object} options - Reporting options
+     * @param {string} options.endpoint - URL that receives beacons (null disables)
+     * @param {number} options.sampleRate - Fraction of sessions reported (0-1)
+     * @param {number} options.maxBatchSize - Entries queued before an early flush
+     */
+    configureReporting(options = {}) {
+      const previousRate = this.reportConfig.sampleRate;
+      this.reportConfig = { ...this.reportConfig, ...options };
+
+      if (options.sampleRate !== undefined && options.sampleRate !== previousRate) {
+        this.isSampled = null;
+        this._clearSessionValue(SESSION_SAMPLED_KEY);
+      }
+
+      this._attachFlushListeners();
+    },
+
+    /**
+     * Register a reporter that receives each flushed batch
+     * @param {Function} reporter - Called with { sessionId, page, sentAt, entries }
+     * @returns {Function} Unsubscribe function
+     */
+    addReporter(reporter) {
+      if (typeof reporter !== 'function') {
+        this._log('warn', { message: 'addReporter expects a function' });
+        return () => {};
+      }
+
+      this.reporters.push(reporter);
+      this._attachFlushListeners();
+
+      return () => this.removeReporter(reporter);
+    },
+
+    /**
+     * Unregister a reporter
+     * @param {Function} reporter - Reporter passed to addReporter
+     */
+    removeReporter(reporter) {
+      this.reporters = this.reporters.filter((registered) => registered !== reporter);
+    },
+
+    /**
+     * Get (or create) the ID shared by all batches from this tab session
+     * @returns {string} Session ID
+     */
+    getSessionId() {
+      if (!this.sessionId) {
+        this.sessionId = this._readSessionValue(SESSION_ID_KEY) || this._generateId();
+        this._writeSessionValue(SESSION_ID_KEY, this.sessionId);
+      }
+
+      return this.sessionId;
+    },
+
+    /**
+     * Whether this session falls inside the sample rate. The decision is
+     * made once per session so a session is reported completely or not at all.
+     * @returns {boolean}
+     */
+    isSessionSampled() {
+      if (this.isSampled === null) {
+        const stored = this._readSessionValue(SESSION_SAMPLED_KEY);
+
+        if (stored === 'true' || stored === 'false') {
+          this.isSampled = stored === 'true';
+        } else {
+          this.isSampled = Math.random() < this.reportConfig.sampleRate;
+          this._writeSessionValue(SESSION_SAMPLED_KEY, String(this.isSampled));
+        }
+      }
+
+      return this.isSampled;
+    },
+
+    /**
+     * Send queued entries to every reporter and the configured endpoint
+     * @returns {Object|null} The flushed batch, or null when nothing was sent
+     */
+    flush() {
+      if (this.reportQueue.length === 0) {
+        return null;
+      }
+
+      const batch = {
+        sessionId: this.getSessionId(),
+        page: typeof location !== 'undefined' ? location.pathname : null,
+        sentAt: new Date().toISOString(),
+        entries: this.reportQueue.splice(0)
+      };
+
+      this.reporters.forEach((reporter) => {
+        try {
+          reporter(batch);
+        } catch (error) {
+          console.warn('[Performance]', 'Reporter failed', error);
+        }
+      });
+
+      if (this.reportConfig.endpoint) {
+        this._sendBeacon(this.reportConfig.endpoint, batch);
+      }
+
+      return batch;
+    },
+
+    /**
+     * Queue a log entry for reporting
+     * @private
+     * @param {Object} entry - Structured log entry
+     */
+    _enqueueReport(entry) {
+      if (!this.isSessionSampled()) {
+        return;
+      }
+
+      const { module, ...report } = entry;
+
+      // Vitals are re-reported as they change; only the latest value matters
+      if (report.level === 'vital') {
+        this.reportQueue = this.reportQueue.filter(
+          (queued) => !(queued.level === 'vital' && queued.metric === report.metric)
+        );
+      }
+
+      this.reportQueue.push(report);
+
+      if (this.reportQueue.length >= this.reportConfig.maxBatchSize) {
+        this.flush();
+      }
+    },
+
+    /**
+     * Deliver a batch with sendBeacon, falling back to a keepalive fetch
+     * @private
+     * @param {string} endpoint - Collector URL
+     * @param {Object} batch - Batch payload
+     */
+    _sendBeacon(endpoint, batch) {
+      // text/plain keeps the beacon a CORS "simple" request for cross-origin collectors
+      const body = JSON.stringify(batch);
+
+      try {
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+          const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+          if (navigator.sendBeacon(endpoint, blob)) {
+            return;
+          }
+        }
+
+        if (typeof fetch === 'function') {
+          fetch(endpoint, {
+            method: 'POST',
+            body,
+            keepalive: true,
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+          }).catch(() => {});
+        }
+      } catch (error) {
+        console.warn('[Performance]', 'Failed to send beacon', error);
+      }
+    },
+
+    /**
+     * Flush when the page is hidden or unloaded
+     * @private
+     */
+    _attachFlushListeners() {
+      if (this.flushListenersAttached || typeof document === 'undefined') {
+        return;
+      }
+
+      this.flushListenersAttached = true;
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush();
+        }
+      });
+
+      window.addEventListener('pagehide', () => this.flush());
+    },
+
+    /**
+     * Generate a random session identifier
+     * @private
+     * @returns {string}
+     */
+    _generateId() {
+      if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+      }
+
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    /**
+     * Read a sessionStorage value, tolerating disabled storage
+     * @private
+     * @param {string} key - Storage key
+     * @returns {string|null}
+     */
+    _readSessionValue(key) {
+      try {
+        return window.sessionStorage.getItem(key);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Write a sessionStorage value, tolerating disabled storage
+     * @private
+     * @param {string} key - Storage key
+     * @param {string} value - Value
+     */
+    _writeSessionValue(key, value) {
+      try {
+        window.sessionStorage.setItem(key, value);
+      } catch (error) {
+        // Storage unavailable: the value lives for this page only
+      }
+    },
+
+    /**
+     * Remove a sessionStorage value
+     * @private
+     * @param {string} key - Storage key
+     */
+    _clearSessionValue(key) {
+      try {
+        window.sessionStorage.removeItem(key);
+      } catch (error) {
+        // Storage unavailable
+      }
+    },
+
+    /**
+     * Structured logging
+     * @private
+     * @param {string} level - Log level
+     * @param {Object} data - Log data
+     */
+    _log(level, data) {
+      const logEntry = {
+        timestamp: new Date().toISOString(),
+        level,
+        module: 'performance',
+        ...data
+      };
+
+      if (level === 'warn' || level === 'error') {
+        console.warn('[Performance]', logEntry);
+      } else {
+        console.log('[Performance]', logEntry);
+      }
+
+      if (REPORTABLE_LEVELS.includes(level)) {
+        this._enqueueReport(logEntry);
+      }
+
+      if (level === 'vital') {
+        this._notifyMetricListeners(logEntry);
+      }
+    },
+
+    /**
+     * Error logging with context
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     * @param {Object} context - Additional context
+     */
+    _logError(message, error, context = {}) {
+      this._log('error', {
+        message,
+        error: error.message,
+        stack: error.stack,
+        ...context
+      });
+    }
+  };
+
+  /**
+   * Run a callback at most once per delay, however often it is scheduled
+   * @param {Function} callback - Task to run
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Function} Schedules the task
+   */
+  function createThrottledTask(callback, delay) {
+    let timer = null;
+
+    return () => {
+      if (timer !== null) {
+        return;
+      }
+
+      timer = setTimeout(() => {
+        timer = null;
+        callback();
+      }, delay);
+    };
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Byte count
+   * @returns {string} Human-readable size
+   */
+  function formatBytes(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  /**
+   * Performance budget checker evaluated against live observer data
+   */
+  const PerformanceBudget = {
+    budgets: { ...DEFAULT_BUDGETS },
+    exceeded: new Set(),
+    unsubscribe: null,
+
+    /**
+     * Override budget targets
+     * @param {Object} budgets - Any of lcp, cls, inp, imageBytes, scriptBytes, resourceCount
+     */
+    configure(budgets = {}) {
+      this.budgets = { ...this.budgets, ...budgets };
+    },
+
+    /**
+     * Start checking budgets as metrics arrive
+     */
+    start() {
+      if (this.unsubscribe) {
+        return;
+      }
+
+      const scheduleCheck = createThrottledTask(() => this.evaluate(), 500);
+      this.unsubscribe = PerformanceMonitor.onMetric(scheduleCheck);
+    },
+
+    /**
+     * Sum resource bytes by type
+     * @returns {Object} imageBytes, scriptBytes and resourceCount
+     */
+    getResourceTotals() {
+      const resources = PerformanceMonitor.getResources();
+
+      return resources.reduce((totals, resource) => {
+        if (resource.type === 'img' || /\.(avif|gif|jpe?g|png|svg|webp)(\?|$)/i.test(resource.name)) {
+          totals.imageBytes += resource.bytes;
+        } else if (resource.type === 'script') {
+          totals.scriptBytes += resource.bytes;
+        }
+        return totals;
+      }, { imageBytes: 0, scriptBytes: 0, resourceCount: resources.length });
+    },
+
+    /**
+     * Get the slowest resources
+     * @param {number} limit - Maximum resources returned
+     * @returns {Object[]} Resources sorted by duration, slowest first
+     */
+    getWorstResources(limit = OVERLAY_RESOURCE_LIMIT) {
+      return PerformanceMonitor.getResources()
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, limit);
+    },
+
+    /**
+     * Compare current metrics with their budgets. Each newly exceeded
+     * budget is logged once.
+     * @returns {Object[]} One result per budget
+     */
+    evaluate() {
+      const vitals = PerformanceMonitor.getVitals();
+      const totals = this.getResourceTotals();
+
+      const results = [
+        { metric: 'lcp', label: 'LCP', value: vitals.lcp, unit: 'ms', rating: vitals.ratings.lcp },
+        { metric: 'cls', label: 'CLS', value: vitals.cls, unit: '', rating: vitals.ratings.cls },
+        { metric: 'inp', label: 'INP', value: vitals.inp, unit: 'ms', rating: vitals.ratings.inp },
+        { metric: 'imageBytes', label: 'Image bytes', value: totals.imageBytes, unit: 'bytes' },
+        { metric: 'scriptBytes', label: 'Script bytes', value: totals.scriptBytes, unit: 'bytes' },
+        { metric: 'resourceCount', label: 'Resources', value: totals.resourceCount, unit: '' }
+      ].map((result) => {
+        const budget = this.budgets[result.metric];
+        const overBudget = result.value !== null && result.value > budget;
+
+        // Size and count budgets have no Web Vitals thresholds; warn at 80%
+        let rating = result.rating;
+        if (rating === undefined) {
+          if (overBudget) rating = 'poor';
+          else if (result.value > budget * 0.8) rating = 'needs-improvement';
+          else rating = 'good';
+        }
+
+        return { ...result, budget, rating: rating || null, overBudget };
+      });
+
+      results.forEach((result) => {
+        if (result.overBudget && !this.exceeded.has(result.metric)) {
+          this.exceeded.add(result.metric);
+          PerformanceMonitor._log('warn', {
+            message: 'Performance budget exceeded',
+            metric: result.metric,
+            value: result.value,
+            budget: result.budget
+          });
+        } else if (!result.overBudget) {
+          this.exceeded.delete(result.metric);
+        }
+      });
+
+      return results;
+    }
+  };
+
+  /**
+   * Developer overlay listing metrics, budgets and the slowest resources.
+   * Enabled with ?perf=1 or localStorage['performance:overlay'] = 'true'.
+   */
+  const PerformanceOverlay = {
+    element: null,
+    content: null,
+    unsubscribe: null,
+
+    /**
+     * Whether the overlay was requested for this page view
+     * @returns {boolean}
+     */
+    isEnabled() {
+      try {
+        if (new URLSearchParams(window.location.search).get('perf') === '1') {
+          return true;
+        }
+        return window.localStorage.getItem(OVERLAY_STORAGE_KEY) === 'true';
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Show the overlay when enabled
+     */
+    init() {
+      if (this.element || !this.isEnabled()) {
+        return;
+      }
+
+      this.element = document.createElement('aside');
+      this.element.className = 'perf-overlay';
+      this.element.setAttribute('aria-label', 'Performance budget');
+
+      // Built once so focus on the close button survives metric updates
+      const header = document.createElement('div');
+      header.className = 'perf-overlay-header';
+
+      const title = document.createElement('strong');
+      title.textContent = 'Performance budget';
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = 'perf-overlay-close';
+      closeButton.setAttribute('aria-label', 'Close performance overlay');
+      closeButton.textContent = '×';
+      closeButton.addEventListener('click', () => this.destroy());
+
+      header.append(title, closeButton);
+
+      this.content = document.createElement('div');
+      this.content.className = 'perf-overlay-content';
+
+      this.element.append(header, this.content);
+      document.body.appendChild(this.element);
+
+      this.unsubscribe = PerformanceMonitor.onMetric(createThrottledTask(() => this.render(), 250));
+      this.render();
+    },
+
+    /**
+     * Remove the overlay
      */
-    getVitals() {
-      return {
-        lcp: this.vitals.lcp,
-        fid: this.vitals.fid,
-        cls: this.vitals.cls,
-        ratings: {
-          lcp: this.vitals.lcp ? this._rateLCP(this.vitals.lcp) : null,
-          fid: this.vitals.fid ? this._rateFID(this.vitals.fid) : null,
-          cls: this._rateCLS(this.vitals.cls)
-        }
-      };
+    destroy() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+        this.content = null;
+      }
     },
 
     /**
-     * Structured logging
-     * @private
-     * @param {string} level - Log level
-     * @param {Object} data - Log data
+     * Render current budget results into the content area
      */
-    _log(level, data) {
-      const logEntry = {
-        timestamp: new Date().toISOString(),
-        level,
-        module: 'performance',
-        ...data
-      };
-
-      if (level === 'warn' || level === 'error') {
-        console.warn('[Performance]', logEntry);
-      } else {
-        console.log('[Performance]', logEntry);
+    render() {
+      if (!this.content) {
+        return;
       }
+
+      const table = document.createElement('table');
+      table.className = 'perf-overlay-table';
+      table.innerHTML = '<thead><tr><th scope="col">Metric</th><th scope="col">Value</th>'
+        + '<th scope="col">Budget</th><th scope="col">Rating</th></tr></thead>';
+
+      const body = document.createElement('tbody');
+      PerformanceBudget.evaluate().forEach((result) => {
+        const row = document.createElement('tr');
+        row.className = result.overBudget ? 'perf-overlay-over' : '';
+
+        [
+          result.label,
+          this._formatValue(result.value, result.unit),
+          this._formatValue(result.budget, result.unit),
+          result.rating || '—'
+        ].forEach((text, index) => {
+          const cell = document.createElement(index === 0 ? 'th' : 'td');
+          if (index === 0) cell.scope = 'row';
+          if (index === 3 && result.rating) cell.className = `perf-rating-${result.rating}`;
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+      });
+      table.appendChild(body);
+
+      const resourcesTitle = document.createElement('p');
+      resourcesTitle.className = 'perf-overlay-subtitle';
+      resourcesTitle.textContent = 'Slowest resources';
+
+      const list = document.createElement('ol');
+      list.className = 'perf-overlay-resources';
+      PerformanceBudget.getWorstResources().forEach((resource) => {
+        const item = document.createElement('li');
+        item.title = resource.name;
+        item.textContent = `${resource.name.split('/').pop() || resource.name} · `
+          + `${resource.duration.toFixed(0)} ms · ${formatBytes(resource.bytes)}`;
+        list.appendChild(item);
+      });
+
+      this.content.replaceChildren(table, resourcesTitle, list);
     },
 
     /**
-     * Error logging with context
+     * Format a metric value for display
      * @private
-     * @param {string} message - Error message
-     * @param {Error} error - Error object
-     * @param {Object} context - Additional context
+     * @param {number|null} value - Metric value
+     * @param {string} unit - ms, bytes or empty
+     * @returns {string}
      */
-    _logError(message, error, context = {}) {
-      this._log('error', {
-        message,
-        error: error.message,
-        stack: error.stack,
-        ...context
-      });
+    _formatValue(value, unit) {
+      if (value === null || value === undefined) return '—';
+      if (unit === 'bytes') return formatBytes(value);
+      if (unit === 'ms') return `${Math.round(value)} ms`;
+      return Number.isInteger(value) ? String(value) : value.toFixed(3);
     }
   };
 
@@ -315,12 +1146,38 @@
       rootMargin: '50px 0px',
       threshold: 0.01
     },
+    // srcset candidates: widths (w descriptors, used with sizes) and pixel
+    // densities (x descriptors, for fixed-size images marked data-width)
+    responsive: {
+      widths: [320, 480, 640, 800, 1200, 1600],
+      densities: [1, 1.5, 2, 3],
+      sizes: '100vw',
+      fallbackWidth: 800
+    },
+    // Blurred placeholder width, and retries before the alt text fallback
+    // (delays double from baseDelay)
+    placeholder: {
+      width: 20,
+      quality: 30
+    },
+    retry: {
+      attempts: 3,
+      baseDelay: 1000
+    },
     loadedImages: new Set(),
+    pendingImages: new Set(),
+    // Images held back by Save-Data, mapped to their click-to-load box (null
+    // for data-click-to-load="false"), and those the user chose to load anyway
+    blockedImages: new Map(),
+    requestedImages: new Set(),
+    unsubscribeConnection: null,
 
     /**
      * Initialize lazy loading
      */
     init() {
+      this._watchConnection();
+
       if (!this._isIntersectionObserverSupported()) {
         this._fallbackLoad();
         return;
@@ -376,42 +1233,411 @@
     },
 
     /**
-     * Load a single image
+     * Load a single image: the blurred placeholder stays up until the full
+     * image has decoded, then the image fades in over it. Failed loads are
+     * retried with backoff before the alt text fallback is shown.
      * @private
      * @param {HTMLImageElement} img
      */
     _loadImage(img) {
-      if (this.loadedImages.has(img)) {
+      if (this.loadedImages.has(img) || this.pendingImages.has(img)) {
         return;
       }
 
-      const startTime = performance.now();
       const dataSrc = img.dataset.src;
       const src = img.getAttribute('src');
 
-      if (dataSrc) {
-        img.addEventListener('load', () => {
-          const loadTime = performance.now() - startTime;
-          this.loadedImages.add(img);
-          
-          PerformanceMonitor._log('info', {
-            message: 'Image loaded',
-            src: dataSrc.split('/').pop(),
-            loadTime: loadTime.toFixed(2),
-            cached: loadTime < 10
-          });
-        }, { once: true });
+      if (dataSrc && !this._canLoad(img)) {
+        this._showClickToLoad(img);
+      } else if (dataSrc) {
+        this.pendingImages.add(img);
+        this._showPlaceholder(img);
+        this._fetchImage(img, dataSrc, 0);
+      } else if (src && !this.loadedImages.has(img)) {
+        this.loadedImages.add(img);
+      }
+    },
 
-        img.addEventListener('error', () => {
-          PerformanceMonitor._logError('Image load failed', new Error('Load error'), {
-            src: dataSrc
-          });
-        }, { once: true });
+    /**
+     * Show a low-quality placeholder: data-lqip (e.g. an inline base64
+     * image), or a tiny copy of a resizable data-src
+     * @private
+     * @param {HTMLImageElement} img
+     */
+    _showPlaceholder(img) {
+      const dataSrc = img.dataset.src;
+      if (!dataSrc || img.classList.contains('lazy-placeholder') || !this._canLoad(img)) {
+        return;
+      }
+
+      let lqip = img.dataset.lqip;
+      if (!lqip) {
+        const tiny = ResourceOptimizer.optimizeUnsplashUrl(dataSrc, this.placeholder);
+        lqip = tiny !== dataSrc ? tiny : null;
+      }
+
+      if (lqip) {
+        img.classList.add('lazy-placeholder');
+        img.src = lqip;
+      }
+    },
+
+    /**
+     * Decode the full image off-screen, then swap it in
+     * @private
+     * @param {HTMLImageElement} img
+     * @param {string} baseUrl - data-src URL
+     * @param {number} attempt - Retry count so far
+     */
+    _fetchImage(img, baseUrl, attempt) {
+      const startTime = performance.now();
+      const options = this._readResponsiveOptions(img);
+      const preloader = new Image();
+
+      const loaded = new Promise((resolve, reject) => {
+        preloader.addEventListener('load', resolve, { once: true });
+        preloader.addEventListener('error', () => reject(new Error('Load error')), { once: true });
+      });
 
-        img.src = dataSrc;
+      this.applyResponsiveSource(preloader, baseUrl, options);
+
+      // decode() also covers loading; without it, fall back to load events.
+      // The unused promise still needs a handler for its rejection
+      const decoded = typeof preloader.decode === 'function' ? preloader.decode() : loaded;
+      loaded.catch(() => {});
+
+      decoded.then(() => {
+        const loadTime = performance.now() - startTime;
+        const lqip = img.classList.contains('lazy-placeholder') ? img.currentSrc || img.src : null;
+
+        this.applyResponsiveSource(img, baseUrl, options);
+        img.classList.remove('lazy-placeholder');
+        img.classList.add('lazy-loaded');
+        if (lqip) {
+          this._crossfade(img, lqip);
+        }
         img.removeAttribute('data-src');
-      } else if (src && !this.loadedImages.has(img)) {
+        this.pendingImages.delete(img);
         this.loadedImages.add(img);
+
+        PerformanceMonitor._log('info', {
+          message: 'Image loaded',
+          src: baseUrl.split('/').pop(),
+          loadTime: loadTime.toFixed(2),
+          cached: loadTime < 10,
+          attempts: attempt + 1
+        });
+      }).catch((error) => {
+        if (attempt < this.retry.attempts) {
+          const delay = this.retry.baseDelay * Math.pow(2, attempt);
+
+          PerformanceMonitor._log('warn', {
+            message: 'Image load failed, retrying',
+            src: baseUrl.split('/').pop(),
+            attempt: attempt + 1,
+            delay
+          });
+
+          setTimeout(() => this._fetchImage(img, baseUrl, attempt + 1), delay);
+          return;
+        }
+
+        this.pendingImages.delete(img);
+        PerformanceMonitor._logError('Image load failed', error, {
+          src: baseUrl,
+          attempts: attempt + 1
+        });
+        this._showFallback(img);
+      });
+    },
+
+    /**
+     * Fade a freshly loaded image in over its placeholder. For the length of
+     * the fade the image sits in a span.lazy-frame sized to its current box,
+     * whose ::before shows the blurred placeholder; the span is then removed.
+     * @private
+     * @param {HTMLImageElement} img - Image that now has its full sources
+     * @param {string} lqip - Placeholder URL it was showing
+     */
+    _crossfade(img, lqip) {
+      const rect = img.getBoundingClientRect();
+      if (!img.parentNode || rect.width === 0 || rect.height === 0) {
+        return;
+      }
+
+      const style = window.getComputedStyle(img);
+      const frame = document.createElement('span');
+      frame.className = 'lazy-frame';
+      frame.style.width = `${rect.width}px`;
+      frame.style.height = `${rect.height}px`;
+      frame.style.margin = style.margin;
+      frame.style.setProperty('--lazy-lqip', `url("${lqip.replace(/"/g, '%22')}")`);
+      frame.style.setProperty('--lazy-radius', style.borderRadius);
+
+      img.parentNode.insertBefore(frame, img);
+      frame.appendChild(img);
+      img.classList.add('lazy-crossfade');
+
+      let timer = null;
+      const unwrap = () => {
+        clearTimeout(timer);
+        img.removeEventListener('transitionend', unwrap);
+        img.classList.remove('lazy-crossfade', 'lazy-fade-in');
+        if (frame.parentNode) {
+          frame.replaceWith(img);
+        }
+      };
+
+      // Start from transparent, then fade to opaque on the next frame
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        img.classList.add('lazy-fade-in');
+        img.addEventListener('transitionend', unwrap);
+        timer = setTimeout(unwrap, CROSSFADE_TIMEOUT);
+      }));
+    },
+
+    /**
+     * Whether an image may be downloaded: always, unless Save-Data asks for
+     * images on demand and the user has not requested this one
+     * @private
+     * @param {HTMLImageElement} img
+     * @returns {boolean}
+     */
+    _canLoad(img) {
+      return this.requestedImages.has(img) || ConnectionManager.getLoadingStrategy().loadImages;
+    },
+
+    /**
+     * Load images held back by Save-Data once the connection allows it
+     * @private
+     */
+    _watchConnection() {
+      if (this.unsubscribeConnection) {
+        return;
+      }
+
+      this.unsubscribeConnection = ConnectionManager.onChange((strategy) => {
+        if (!strategy.loadImages) {
+          return;
+        }
+
+        this.blockedImages.forEach((box, img) => {
+          if (box) {
+            box.remove();
+            img.hidden = false;
+          }
+          this.blockedImages.delete(img);
+          this._loadImage(img);
+        });
+      });
+    },
+
+    /**
+     * Put a box with the image's alt text and an action button in place of
+     * an image, keeping the space it occupied so the layout does not shift
+     * @private
+     * @param {HTMLImageElement} img
+     * @param {Object} options - { className, buttonText, buttonLabel, onClick }
+     * @returns {HTMLElement|null} The inserted box
+     */
+    _replaceWithBox(img, options) {
+      if (!img.parentNode) {
+        return null;
+      }
+
+      const box = document.createElement('span');
+      const text = document.createElement('span');
+      const button = document.createElement('button');
+      const width = Number(img.getAttribute('width'));
+      const height = Number(img.getAttribute('height'));
+
+      box.className = `image-fallback ${options.className}`;
+      if (img.offsetWidth) {
+        box.style.width = `${img.offsetWidth}px`;
+      }
+      if (width && height) {
+        box.style.aspectRatio = `${width} / ${height}`;
+      }
+
+      text.className = 'image-fallback-text';
+      text.textContent = img.alt || 'Image unavailable';
+
+      button.type = 'button';
+      button.className = 'image-fallback-retry';
+      button.textContent = options.buttonText;
+      button.setAttribute('aria-label', `${options.buttonLabel}${img.alt ? `: ${img.alt}` : ''}`);
+      button.addEventListener('click', () => {
+        box.remove();
+        img.hidden = false;
+        options.onClick();
+      }, { once: true });
+
+      box.append(text, button);
+      img.hidden = true;
+      img.parentNode.insertBefore(box, img);
+      return box;
+    },
+
+    /**
+     * Replace a failed image with its alt text and a retry button
+     * @private
+     * @param {HTMLImageElement} img
+     */
+    _showFallback(img) {
+      this._replaceWithBox(img, {
+        className: 'image-error',
+        buttonText: 'Retry',
+        buttonLabel: 'Retry loading image',
+        onClick: () => this._loadImage(img)
+      });
+    },
+
+    /**
+     * Hold an image back behind a click-to-load box (Save-Data)
+     * @private
+     * @param {HTMLImageElement} img
+     */
+    _showClickToLoad(img) {
+      if (this.blockedImages.has(img)) {
+        return;
+      }
+
+      // Images inside other controls (e.g. thumbnail buttons) opt out with
+      // data-click-to-load="false": a nested button would be invalid, so they
+      // stay empty until the connection allows loading
+      if (img.dataset.clickToLoad === 'false') {
+        this.blockedImages.set(img, null);
+        return;
+      }
+
+      const box = this._replaceWithBox(img, {
+        className: 'image-click-to-load',
+        buttonText: 'Load image',
+        buttonLabel: 'Load image',
+        onClick: () => {
+          this.blockedImages.delete(img);
+          this.requestedImages.add(img);
+          this._loadImage(img);
+        }
+      });
+
+      if (box) {
+        this.blockedImages.set(img, box);
+      }
+    },
+
+    /**
+     * Read srcset options from data attributes: data-width (CSS width, for
+     * density descriptors), data-sizes and data-widths (comma separated)
+     * @private
+     * @param {HTMLImageElement} img
+     * @returns {Object} Options for getResponsiveSource()
+     */
+    _readResponsiveOptions(img) {
+      const options = {};
+      const width = Number(img.dataset.width);
+
+      if (width > 0) {
+        options.width = width;
+      }
+      if (img.dataset.sizes) {
+        options.sizes = img.dataset.sizes;
+      }
+      if (img.dataset.widths) {
+        const widths = img.dataset.widths.split(',').map(Number).filter((value) => value > 0);
+        if (widths.length > 0) {
+          options.widths = widths;
+        }
+      }
+
+      return options;
+    },
+
+    /**
+     * Build src, srcset and sizes from one base URL. Each candidate goes
+     * through ResourceOptimizer.optimizeUnsplashUrl at the quality of the
+     * current loading strategy; on slow or Save-Data connections candidates
+     * above 1x (or the fallback width) are dropped.
+     * @param {string} baseUrl - Image URL
+     * @param {Object} options - { width, widths, densities, sizes, quality }
+     * @returns {{ src: string, srcset: string, sizes: string }} srcset and
+     *   sizes are empty when the URL cannot be resized
+     */
+    getResponsiveSource(baseUrl, options = {}) {
+      const quality = options.quality || ConnectionManager.getLoadingStrategy().imageQuality;
+      const constrained = ConnectionManager.isDataSaverEnabled() || ConnectionManager.isSlowConnection();
+      const build = (width) => ResourceOptimizer.optimizeUnsplashUrl(baseUrl, {
+        width: Math.round(width),
+        quality
+      });
+
+      let src;
+      let candidates;
+      let sizes = '';
+
+      if (options.width) {
+        const densities = (options.densities || this.responsive.densities)
+          .filter((density) => !constrained || density <= 1);
+        src = build(options.width);
+        candidates = densities.map((density) => [build(options.width * density), `${density}x`]);
+      } else {
+        const fallbackWidth = options.fallbackWidth || this.responsive.fallbackWidth;
+        const widths = (options.widths || this.responsive.widths)
+          .filter((width) => !constrained || width <= fallbackWidth);
+        src = build(fallbackWidth);
+        candidates = widths.map((width) => [build(width), `${width}w`]);
+        sizes = options.sizes || this.responsive.sizes;
+      }
+
+      // URLs that cannot be resized come back unchanged
+      if (new Set(candidates.map(([url]) => url)).size < 2) {
+        return { src: baseUrl, srcset: '', sizes: '' };
+      }
+
+      return {
+        src,
+        srcset: candidates.map(([url, descriptor]) => `${url} ${descriptor}`).join(', '),
+        sizes
+      };
+    },
+
+    /**
+     * Point an image at responsive sources built from a base URL
+     * @param {HTMLImageElement} img
+     * @param {string} baseUrl - Image URL
+     * @param {Object} options - See getResponsiveSource()
+     */
+    applyResponsiveSource(img, baseUrl, options = {}) {
+      const { src, srcset, sizes } = this.getResponsiveSource(baseUrl, options);
+
+      // sizes and srcset go first so the browser picks a candidate once
+      if (sizes) {
+        img.sizes = sizes;
+      } else {
+        img.removeAttribute('sizes');
+      }
+      if (srcset) {
+        img.srcset = srcset;
+      } else {
+        img.removeAttribute('srcset');
+      }
+      img.src = src;
+    },
+
+    /**
+     * Lazy load an image added after init (e.g. by the carousel)
+     * @param {HTMLImageElement} img
+     */
+    observe(img) {
+      if (!this.observer && this._isIntersectionObserverSupported()) {
+        this._createObserver();
+      }
+
+      if (this.observer) {
+        this._showPlaceholder(img);
+        this.observer.observe(img);
+      } else {
+        this._loadImage(img);
       }
     },
 
@@ -426,6 +1652,7 @@
 
       const lazyImages = document.querySelectorAll('img[loading="lazy"]');
       lazyImages.forEach((img) => {
+        this._showPlaceholder(img);
         this.observer.observe(img);
       });
     },
@@ -541,6 +1768,13 @@
         const urlObj = new URL(url);
         
         if (urlObj.hostname.includes('unsplash.com')) {
+          // Cropped images keep their aspect ratio at the new width
+          const sourceWidth = Number(urlObj.searchParams.get('w'));
+          const sourceHeight = Number(urlObj.searchParams.get('h'));
+          if (sourceWidth && sourceHeight) {
+            urlObj.searchParams.set('h', Math.round(sourceHeight * params.width / sourceWidth));
+          }
+
           urlObj.searchParams.set('w', params.width);
           urlObj.searchParams.set('q', params.quality);
           urlObj.searchParams.set('fm', params.format);
@@ -575,6 +1809,9 @@
    * Connection-aware loading
    */
   const ConnectionManager = {
+    listeners: [],
+    watching: false,
+
     /**
      * Get effective connection type
      * @returns {string} Connection type (4g, 3g, 2g, slow-2g, unknown)
@@ -623,18 +1860,99 @@
         enableAnimations: !isSlow && !dataSaver,
         preloadCount: isSlow || dataSaver ? 1 : 3
       };
+    },
+
+    /**
+     * Subscribe to loading strategy changes (navigator.connection change)
+     * @param {Function} listener - Called with the recalculated strategy
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+      this.listeners.push(listener);
+      this.watch();
+
+      return () => {
+        this.listeners = this.listeners.filter((registered) => registered !== listener);
+      };
+    },
+
+    /**
+     * Recalculate the strategy whenever the connection changes
+     */
+    watch() {
+      if (this.watching || typeof navigator === 'undefined' || !navigator.connection
+        || typeof navigator.connection.addEventListener !== 'function') {
+        return;
+      }
+
+      this.watching = true;
+      navigator.connection.addEventListener('change', () => this._handleChange());
+    },
+
+    /**
+     * Notify listeners of the recalculated strategy
+     * @private
+     */
+    _handleChange() {
+      const strategy = this.getLoadingStrategy();
+
+      PerformanceMonitor._log('info', {
+        message: 'Connection changed',
+        connectionType: this.getConnectionType(),
+        strategy
+      });
+
+      this.listeners.forEach((listener) => {
+        try {
+          listener(strategy);
+        } catch (error) {
+          PerformanceMonitor._logError('Connection listener failed', error);
+        }
+      });
     }
   };
 
+  /**
+   * Read reporting options from <meta name="performance-endpoint"> and
+   * <meta name="performance-sample-rate">
+   * @returns {Object} Reporting options
+   */
+  function readReportingConfig() {
+    const options = {};
+    const endpointMeta = document.querySelector('meta[name="performance-endpoint"]');
+    const sampleRateMeta = document.querySelector('meta[name="performance-sample-rate"]');
+
+    if (endpointMeta && endpointMeta.content) {
+      options.endpoint = endpointMeta.content;
+    }
+
+    if (sampleRateMeta) {
+      const sampleRate = parseFloat(sampleRateMeta.content);
+      if (Number.isFinite(sampleRate) && sampleRate >= 0 && sampleRate <= 1) {
+        options.sampleRate = sampleRate;
+      }
+    }
+
+    return options;
+  }
+
   /**
    * Initialize all performance features
    */
   function init() {
     try {
+      // Configure reporting first so the init marks are captured
+      const reportingConfig = readReportingConfig();
+      if (Object.keys(reportingConfig).length > 0) {
+        PerformanceMonitor.configureReporting(reportingConfig);
+      }
+
       PerformanceMonitor.mark('performance-init-start');
 
-      // Initialize Web Vitals monitoring
+      // Initialize Web Vitals monitoring and budget checks
       PerformanceMonitor.initWebVitals();
+      PerformanceBudget.start();
+      PerformanceOverlay.init();
 
       // Initialize lazy loading
       LazyLoadManager.init();
@@ -642,7 +1960,8 @@
       // Defer non-critical scripts
       ResourceOptimizer.deferNonCriticalScripts();
 
-      // Log connection info
+      // Log connection info and follow changes to it
+      ConnectionManager.watch();
       const connectionType = ConnectionManager.getConnectionType();
       const strategy = ConnectionManager.getLoadingStrategy();
       
@@ -676,6 +1995,8 @@
   if (typeof window !== 'undefined') {
     window.PerformanceUtils = {
       monitor: PerformanceMonitor,
+      budget: PerformanceBudget,
+      overlay: PerformanceOverlay,
       lazyLoad: LazyLoadManager,
       optimizer: ResourceOptimizer,
       connection: ConnectionManager
@@ -686,6 +2007,8 @@
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
       PerformanceMonitor,
+      PerformanceBudget,
+      PerformanceOverlay,
       LazyLoadManager,
       ResourceOptimizer,
       ConnectionManager
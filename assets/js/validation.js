@@ -9,46 +9,312 @@
   // Constants and Configuration
   // ===================================
 
-  // Email validation regex (RFC 5322 simplified)
+  // Email validation regex (RFC 5322 simplified), kept as a quick pre-check
   const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+  // Unquoted local part: RFC 5322 atext plus UTF-8 letters (RFC 6531), dot-separated
+  const LOCAL_PART_REGEX = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(?:\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+
+  // Domain characters accepted before IDN conversion
+  const DOMAIN_CHARS_REGEX = /^[\p{L}\p{N}\p{M}.-]+$/u;
+
+  // A single ASCII (LDH) domain label, post-conversion
+  const DOMAIN_LABEL_REGEX = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+  // Popular mailbox providers used for "did you mean" suggestions
+  const POPULAR_EMAIL_DOMAINS = Object.freeze([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+    'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'zoho.com', 'yandex.ru',
+    'comcast.net', 'att.net', 'verizon.net', 'qq.com', '163.com'
+  ]);
+
+  // Known disposable / throwaway email providers (optional blocklist)
+  const DISPOSABLE_EMAIL_DOMAINS = Object.freeze([
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+    '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'tempail.com',
+    'yopmail.com', 'throwawaymail.com', 'trashmail.com', 'getnada.com',
+    'dispostable.com', 'maildrop.cc', 'fakeinbox.com', 'mintemail.com',
+    'mohmal.com', 'emailondeck.com', 'burnermail.io', 'moakt.com'
+  ]);
+
   // Validation messages
   const VALIDATION_MESSAGES = Object.freeze({
     required: 'Email address is required',
     invalid: 'Please enter a valid email address',
     tooShort: 'Email address is too short',
     tooLong: 'Email address is too long (max 254 characters)',
+    localTooLong: 'The part before @ is too long (max 64 characters)',
+    invalidDomain: 'Please check the domain after @',
+    disposable: 'Please use a permanent email address, not a disposable one',
     success: 'Thank you! We\'ll be in touch soon.',
     error: 'Something went wrong. Please try again.',
     networkError: 'Network error. Please check your connection and try again.',
-    timeout: 'Request timed out. Please try again.'
+    timeout: 'Request timed out. Please try again.',
+    rateLimited: 'You\'ve sent several signups in a short time. Please wait a few minutes and try again.',
+    queued: 'You appear to be offline. Your signup is saved and we\'ll send it when you\'re back online.',
+    queueSent: 'You\'re back online. Your saved signup has been sent. Thank you!'
   });
 
   // Validation constraints
   const CONSTRAINTS = Object.freeze({
     email: {
       minLength: 3,
-      maxLength: 254
+      maxLength: 254,
+      maxLocalLength: 64,
+      maxDomainLength: 253,
+      maxLabelLength: 63,
+      blockDisposable: false
     },
     debounceDelay: 300,
-    submitTimeout: 10000
+    submitTimeout: 10000,
+    submitEndpoint: '/submit'
+  });
+
+  // Submission error codes mapped to user-facing messages
+  const SUBMIT_ERROR_MESSAGES = Object.freeze({
+    timeout: VALIDATION_MESSAGES.timeout,
+    network_error: VALIDATION_MESSAGES.networkError,
+    server_error: VALIDATION_MESSAGES.error,
+    client_error: VALIDATION_MESSAGES.error
+  });
+
+  // Offline submission queue configuration
+  const QUEUE_CONFIG = Object.freeze({
+    dbName: 'resume-builder-waitlist',
+    dbVersion: 1,
+    storeName: 'pending-submissions',
+    storageKey: 'resume-builder:pending-submissions',
+    baseRetryDelay: 2000,
+    maxRetryDelay: 5 * 60 * 1000,
+    maxAttempts: 8,
+    // Errors that mean "could not reach the server": the signup is queued
+    queueableErrors: ['network_error', 'timeout'],
+    // Errors worth retrying when replaying the queue
+    retryableErrors: ['network_error', 'timeout', 'server_error']
+  });
+
+  // Client-side abuse protection configuration
+  const SPAM_CONFIG = Object.freeze({
+    honeypotName: 'website',
+    // Submissions faster than this wait out the rest when no trusted input was seen
+    minSubmitTime: 2500,
+    storageKey: 'resume-builder:submission-history',
+    rateLimit: {
+      maxSubmissions: 3,
+      windowMs: 10 * 60 * 1000,
+      cooldownMs: 15 * 60 * 1000
+    },
+    proofOfWork: {
+      field: '_pow',
+      version: 'v1',
+      maxIterations: 1 << 20,
+      // Hashes per batch, between which the main thread gets a turn
+      batchSize: 256,
+      // Past this the signup is sent without a token rather than keep a person waiting
+      timeBudgetMs: 5000
+    }
+  });
+
+  // Feedback banner colors keyed by state
+  const FEEDBACK_COLORS = Object.freeze({
+    success: 'var(--color-success, #10b981)',
+    error: 'var(--color-error, #ef4444)',
+    queued: 'var(--color-warning, #f59e0b)'
   });
 
   // ===================================
   // Core Validation Functions
   // ===================================
 
+  /**
+   * Computes the optimal string alignment (Damerau-Levenshtein) distance
+   * @private
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Number of edits (insert, delete, substitute, transpose)
+   */
+  function getEditDistance(a, b) {
+    const distances = [];
+
+    for (let i = 0; i <= a.length; i++) {
+      distances[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+      distances[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+        distances[i][j] = Math.min(
+          distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1,
+          distances[i - 1][j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return distances[a.length][b.length];
+  }
+
+  /**
+   * Converts a domain to its ASCII (punycode) form
+   * @private
+   * @param {string} domain - Domain, possibly internationalized
+   * @returns {string|null} Lower-case ASCII domain, or null if it cannot be converted
+   */
+  function toAsciiDomain(domain) {
+    if (/^[\x00-\x7f]*$/.test(domain)) {
+      return domain.toLowerCase();
+    }
+
+    // The URL parser applies IDNA (UTS #46) processing to hostnames
+    if (typeof URL === 'undefined') {
+      return null;
+    }
+
+    try {
+      return new URL(`http://${domain}`).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks one ASCII domain label
+   * @private
+   * @param {string} label - Domain label
+   * @returns {boolean}
+   */
+  function isValidDomainLabel(label) {
+    if (label.length === 0 || label.length > CONSTRAINTS.email.maxLabelLength) {
+      return false;
+    }
+
+    // Hyphens in positions 3-4 are reserved for A-labels (xn--)
+    if (label.slice(2, 4) === '--' && !label.startsWith('xn--')) {
+      return false;
+    }
+
+    return DOMAIN_LABEL_REGEX.test(label);
+  }
+
+  /**
+   * Parses an email address into local part and ASCII domain
+   * @param {string} email - Email address
+   * @returns {Object} { isValid, reason } or { isValid, localPart, domain, normalized }
+   */
+  function parseEmail(email) {
+    const trimmedEmail = typeof email === 'string' ? email.trim() : '';
+    const atIndex = trimmedEmail.lastIndexOf('@');
+
+    if (atIndex <= 0 || atIndex === trimmedEmail.length - 1) {
+      return { isValid: false, reason: 'invalid' };
+    }
+
+    const localPart = trimmedEmail.slice(0, atIndex);
+    const rawDomain = trimmedEmail.slice(atIndex + 1);
+
+    if (localPart.length > CONSTRAINTS.email.maxLocalLength) {
+      return { isValid: false, reason: 'localTooLong', rawDomain };
+    }
+
+    if (!LOCAL_PART_REGEX.test(localPart)) {
+      return { isValid: false, reason: 'invalid', rawDomain };
+    }
+
+    const domain = DOMAIN_CHARS_REGEX.test(rawDomain) ? toAsciiDomain(rawDomain) : null;
+
+    if (!domain || domain.length > CONSTRAINTS.email.maxDomainLength) {
+      return { isValid: false, reason: 'invalidDomain', rawDomain };
+    }
+
+    const labels = domain.split('.');
+    const topLevel = labels[labels.length - 1];
+
+    if (labels.length < 2 || !labels.every(isValidDomainLabel) || topLevel.length < 2 || /^\d+$/.test(topLevel)) {
+      return { isValid: false, reason: 'invalidDomain', rawDomain };
+    }
+
+    return {
+      isValid: true,
+      localPart,
+      domain,
+      normalized: `${localPart}@${domain}`
+    };
+  }
+
+  /**
+   * Suggests a popular domain for a likely typo (e.g. gmial.com -> gmail.com)
+   * @param {string} domain - Domain as typed
+   * @returns {string|null} Suggested domain
+   */
+  function suggestEmailDomain(domain) {
+    const candidate = typeof domain === 'string' ? domain.trim().toLowerCase() : '';
+
+    if (!candidate || POPULAR_EMAIL_DOMAINS.includes(candidate)) {
+      return null;
+    }
+
+    // Allowed edits scale with the provider name, so short real domains
+    // (uol.com, mt.com) are not "corrected" to aol.com or me.com
+    const nameLength = candidate.split('.')[0].length;
+    const maxDistance = nameLength > 8 ? 2 : (nameLength >= 5 ? 1 : 0);
+
+    if (maxDistance === 0) {
+      return null;
+    }
+    let bestDomain = null;
+    let bestDistance = Infinity;
+
+    POPULAR_EMAIL_DOMAINS.forEach((popularDomain) => {
+      const distance = getEditDistance(candidate, popularDomain);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestDomain = popularDomain;
+      }
+    });
+
+    return bestDistance <= maxDistance ? bestDomain : null;
+  }
+
+  /**
+   * Checks a domain (or any parent domain) against the disposable blocklist
+   * @param {string} domain - ASCII domain
+   * @returns {boolean}
+   */
+  function isDisposableDomain(domain) {
+    const labels = String(domain || '').toLowerCase().split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (DISPOSABLE_EMAIL_DOMAINS.includes(labels.slice(i).join('.'))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Validates email input with comprehensive checks
    * @param {string} email - Email address to validate
-   * @returns {Object} Validation result with isValid and message
+   * @param {Object} options - { blockDisposable } rejects throwaway providers
+   * @returns {Object} Validation result with isValid, message, normalized and suggestion
    */
-  function validateEmail(email) {
+  function validateEmail(email, options = {}) {
     // Check for empty or whitespace-only input
     if (!email || email.trim() === '') {
       return {
         isValid: false,
-        message: VALIDATION_MESSAGES.required
+        message: VALIDATION_MESSAGES.required,
+        suggestion: null
       };
     }
 
@@ -58,7 +324,8 @@
     if (trimmedEmail.length < CONSTRAINTS.email.minLength) {
       return {
         isValid: false,
-        message: VALIDATION_MESSAGES.tooShort
+        message: VALIDATION_MESSAGES.tooShort,
+        suggestion: null
       };
     }
 
@@ -66,21 +333,44 @@
     if (trimmedEmail.length > CONSTRAINTS.email.maxLength) {
       return {
         isValid: false,
-        message: VALIDATION_MESSAGES.tooLong
+        message: VALIDATION_MESSAGES.tooLong,
+        suggestion: null
       };
     }
 
+    const parsed = parseEmail(trimmedEmail);
+    const typedDomain = parsed.isValid ? parsed.domain : parsed.rawDomain;
+    const suggestedDomain = typedDomain ? suggestEmailDomain(typedDomain) : null;
+    const suggestion = suggestedDomain
+      ? `${trimmedEmail.slice(0, trimmedEmail.lastIndexOf('@'))}@${suggestedDomain}`
+      : null;
+
     // Check email format
-    if (!EMAIL_REGEX.test(trimmedEmail)) {
+    if (!parsed.isValid) {
+      return {
+        isValid: false,
+        message: VALIDATION_MESSAGES[parsed.reason] || VALIDATION_MESSAGES.invalid,
+        suggestion
+      };
+    }
+
+    const blockDisposable = options.blockDisposable !== undefined
+      ? options.blockDisposable
+      : CONSTRAINTS.email.blockDisposable;
+
+    if (blockDisposable && isDisposableDomain(parsed.domain)) {
       return {
         isValid: false,
-        message: VALIDATION_MESSAGES.invalid
+        message: VALIDATION_MESSAGES.disposable,
+        suggestion: null
       };
     }
 
     return {
       isValid: true,
-      message: ''
+      message: '',
+      normalized: parsed.normalized,
+      suggestion
     };
   }
 
@@ -121,229 +411,1680 @@
   }
 
   // ===================================
-  // UI State Management
+  // Schema Validation
   // ===================================
 
+  // Schema rule messages; {label} and rule values are interpolated
+  const SCHEMA_MESSAGES = Object.freeze({
+    required: '{label} is required',
+    checked: '{label} is required',
+    minLength: '{label} must be at least {minLength} characters',
+    maxLength: '{label} must be {maxLength} characters or fewer',
+    pattern: '{label} is not in the expected format',
+    enum: '{label} must be one of the listed options',
+    number: '{label} must be a number',
+    min: '{label} must be at least {min}',
+    max: '{label} must be {max} or less',
+    step: '{label} must be in steps of {step}',
+    integer: '{label} must be a whole number'
+  });
+
+  // Field types the schema reader skips
+  const NON_VALIDATED_TYPES = ['submit', 'button', 'reset', 'hidden', 'fieldset', 'output'];
+
   /**
-   * Updates input field UI based on validation state
-   * @param {HTMLInputElement} input - Input element
-   * @param {HTMLElement} errorElement - Error message element
-   * @param {boolean} isValid - Validation state
-   * @param {string} message - Error message
+   * Interpolates {placeholders} in a message template
+   * @private
+   * @param {string} template - Message template
+   * @param {Object} params - Placeholder values
+   * @returns {string} Formatted message
    */
-  function updateInputState(input, errorElement, isValid, message) {
-    if (!input) {
-      console.error('updateInputState: input element is required');
-      return;
+  function formatMessage(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+      params[key] !== undefined ? String(params[key]) : match
+    ));
+  }
+
+  /**
+   * Parses a "field=value" condition into a predicate over form values.
+   * "role=student|intern" matches any listed value; "role" alone matches
+   * any non-empty value.
+   * @private
+   * @param {string} condition - Condition string from a data attribute
+   * @returns {Function|null} Predicate receiving form values
+   */
+  function parseCondition(condition) {
+    if (!condition) {
+      return null;
     }
 
-    try {
-      // Update ARIA attributes for accessibility
-      input.setAttribute('aria-invalid', !isValid);
+    const separatorIndex = condition.indexOf('=');
+    const field = (separatorIndex === -1 ? condition : condition.slice(0, separatorIndex)).trim();
+    const accepted = separatorIndex === -1
+      ? null
+      : condition.slice(separatorIndex + 1).split('|').map((value) => value.trim());
 
-      // Update error message
-      if (errorElement) {
-        errorElement.textContent = message;
-        errorElement.setAttribute('aria-live', 'polite');
-      }
+    if (!field) {
+      return null;
+    }
 
-      // Update visual state
-      if (!isValid) {
-        input.classList.add('error');
-      } else {
-        input.classList.remove('error');
+    return function matchesCondition(values) {
+      const value = values[field];
+
+      if (accepted === null) {
+        return value === true || (typeof value === 'string' && value.trim() !== '');
       }
-    } catch (error) {
-      console.error('Error updating input state:', error);
-    }
+
+      return accepted.includes(String(value === undefined ? '' : value).trim());
+    };
   }
 
   /**
-   * Shows form submission feedback
-   * @param {HTMLFormElement} form - Form element
-   * @param {boolean} isSuccess - Success state
-   * @param {string} message - Feedback message
+   * Compiles a pattern rule into an anchored RegExp (HTML pattern semantics)
+   * @private
+   * @param {RegExp|string} pattern - Pattern rule
+   * @returns {RegExp|null} Compiled pattern
    */
-  function showFormFeedback(form, isSuccess, message) {
-    if (!form) {
-      console.error('showFormFeedback: form element is required');
-      return;
+  function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern;
     }
 
     try {
-      // Create or update feedback element
-      let feedback = form.querySelector('.form-feedback');
-
-      if (!feedback) {
-        feedback = document.createElement('div');
-        feedback.className = 'form-feedback';
-        feedback.setAttribute('role', 'status');
-        feedback.setAttribute('aria-live', 'polite');
-        form.appendChild(feedback);
-      }
-
-      feedback.textContent = message;
-      feedback.className = `form-feedback ${isSuccess ? 'success' : 'error'}`;
-      feedback.style.cssText = `
-        padding: var(--space-md, 1rem);
-        margin-top: var(--space-md, 1rem);
-        border-radius: var(--border-radius, 4px);
-        text-align: center;
-        font-weight: 500;
-        background: ${isSuccess ? 'var(--color-success, #10b981)' : 'var(--color-error, #ef4444)'};
-        color: white;
-        animation: slideIn 0.3s ease-out;
-      `;
-
-      // Remove feedback after 5 seconds
-      setTimeout(() => {
-        if (feedback && feedback.parentNode) {
-          feedback.style.animation = 'slideOut 0.3s ease-out';
-          setTimeout(() => {
-            if (feedback && feedback.parentNode) {
-              feedback.remove();
-            }
-          }, 300);
-        }
-      }, 5000);
+      return new RegExp(`^(?:${pattern})$`, 'u');
     } catch (error) {
-      console.error('Error showing form feedback:', error);
+      console.error('Invalid pattern in form schema:', pattern, error);
+      return null;
     }
   }
 
   /**
-   * Updates submit button state
-   * @param {HTMLButtonElement} button - Submit button
-   * @param {boolean} isLoading - Loading state
+   * Resolves a human-readable label for a form control
+   * @private
+   * @param {HTMLFormElement} form - Form element
+   * @param {HTMLElement} field - Form control
+   * @returns {string} Field label
    */
-  function updateButtonState(button, isLoading) {
-    if (!button) {
-      console.error('updateButtonState: button element is required');
-      return;
+  function getFieldLabel(form, field) {
+    if (field.dataset.label) {
+      return field.dataset.label;
     }
 
-    try {
-      button.setAttribute('aria-busy', isLoading);
-      button.disabled = isLoading;
-
-      if (isLoading) {
-        button.dataset.originalText = button.textContent;
-        button.textContent = 'Sending...';
-      } else if (button.dataset.originalText) {
-        button.textContent = button.dataset.originalText;
-        delete button.dataset.originalText;
+    const label = field.labels && field.labels[0];
+    if (label) {
+      const clone = label.cloneNode(true);
+      // Drop required markers and nested controls from the label text
+      clone.querySelectorAll('[aria-label="required"], input, select, textarea').forEach((node) => {
+        node.remove();
+      });
+      const text = clone.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        return text;
       }
-    } catch (error) {
-      console.error('Error updating button state:', error);
     }
-  }
 
-  // ===================================
-  // Form State Management
-  // ===================================
+    return field.name;
+  }
 
   /**
-   * Creates a debounced function
-   * @param {Function} func - Function to debounce
-   * @param {number} delay - Delay in milliseconds
-   * @returns {Function} Debounced function
+   * Reads custom messages from data-message-* attributes
+   * @private
+   * @param {HTMLElement} field - Form control
+   * @returns {Object} Messages keyed by rule name
    */
-  function debounce(func, delay) {
-    let timeoutId;
+  function getFieldMessages(field) {
+    const messages = {};
 
-    return function debounced(...args) {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        func.apply(this, args);
-      }, delay);
-    };
+    Object.keys(field.dataset).forEach((key) => {
+      if (key.startsWith('message') && key.length > 'message'.length) {
+        const rule = key.charAt(7).toLowerCase() + key.slice(8);
+        messages[rule] = field.dataset[key];
+      }
+    });
+
+    return messages;
   }
 
   /**
-   * Resets form to initial state
+   * Builds field rules from a control's attributes
+   * @private
    * @param {HTMLFormElement} form - Form element
-   * @param {HTMLInputElement} input - Input element
-   * @param {HTMLElement} errorElement - Error message element
+   * @param {HTMLElement} field - Form control
+   * @returns {Object} Field rules
    */
-  function resetFormState(form, input, errorElement) {
-    if (!form) {
-      console.error('resetFormState: form element is required');
-      return;
+  function readFieldRules(form, field) {
+    const rules = {
+      label: getFieldLabel(form, field),
+      type: ['email', 'number', 'checkbox'].includes(field.type) ? field.type : 'text',
+      messages: getFieldMessages(field)
+    };
+
+    if (field.required) {
+      rules[rules.type === 'checkbox' ? 'checked' : 'required'] = true;
     }
 
-    try {
-      form.reset();
+    if (field.minLength > 0) {
+      rules.minLength = field.minLength;
+    }
 
-      if (input) {
-        updateInputState(input, errorElement, true, '');
-      }
+    if (field.maxLength > 0) {
+      rules.maxLength = field.maxLength;
+    }
 
-      // Remove any existing feedback
-      const feedback = form.querySelector('.form-feedback');
-      if (feedback) {
-        feedback.remove();
-      }
-    } catch (error) {
-      console.error('Error resetting form state:', error);
+    if (field.getAttribute('pattern')) {
+      rules.pattern = field.getAttribute('pattern');
+    }
+
+    if (field.getAttribute('min') !== null && field.getAttribute('min') !== '') {
+      rules.min = Number(field.getAttribute('min'));
+    }
+
+    if (field.getAttribute('max') !== null && field.getAttribute('max') !== '') {
+      rules.max = Number(field.getAttribute('max'));
+    }
+
+    // step="any" (or an unusable value) disables the step check, as natively
+    const step = Number(field.getAttribute('step'));
+    if (field.getAttribute('step') && step > 0) {
+      rules.step = step;
     }
+
+    if (field.dataset.blockDisposable !== undefined) {
+      rules.blockDisposable = field.dataset.blockDisposable !== 'false';
+    }
+
+    if (field.dataset.enum) {
+      rules.enum = field.dataset.enum.split(',').map((value) => value.trim()).filter(Boolean);
+    } else if (field.tagName === 'SELECT') {
+      rules.enum = Array.from(field.options).map((option) => option.value).filter(Boolean);
+    }
+
+    const requiredIf = parseCondition(field.dataset.requiredIf);
+    if (requiredIf) {
+      rules.requiredIf = requiredIf;
+    }
+
+    const requiredUnless = parseCondition(field.dataset.requiredUnless);
+    if (requiredUnless) {
+      rules.requiredUnless = requiredUnless;
+    }
+
+    return rules;
   }
 
   /**
-   * Gets form data as object
+   * Creates a validation schema from a form's markup. Native constraint
+   * attributes (required, minlength, maxlength, pattern, min, max, step) and
+   * data-enum, data-label, data-required-if, data-required-unless,
+   * data-block-disposable and data-message-* attributes are read; JS config
+   * overrides them.
    * @param {HTMLFormElement} form - Form element
-   * @returns {Object} Form data
+   * @param {Object} config - Optional { fields: { name: rules }, rules: [fn] }
+   * @returns {Object} Schema with fields and cross-field rules
    */
-  function getFormData(form) {
+  function createSchemaFromForm(form, config = {}) {
+    const schema = { fields: {}, rules: [] };
+
     if (!form) {
-      console.error('getFormData: form element is required');
-      return {};
+      console.error('createSchemaFromForm: form element is required');
+      return schema;
     }
 
-    try {
+    Array.from(form.elements).forEach((field) => {
+      if (!field.name || schema.fields[field.name] || NON_VALIDATED_TYPES.includes(field.type)
+        || field.closest('[data-honeypot]')) {
+        return;
+      }
+
+      schema.fields[field.name] = readFieldRules(form, field);
+    });
+
+    const fieldConfig = config.fields || {};
+    Object.keys(fieldConfig).forEach((name) => {
+      const base = schema.fields[name] || { label: name, type: 'text', messages: {} };
+      schema.fields[name] = {
+        ...base,
+        ...fieldConfig[name],
+        messages: { ...base.messages, ...(fieldConfig[name].messages || {}) }
+      };
+    });
+
+    schema.rules = Array.isArray(config.rules) ? config.rules.slice() : [];
+
+    return schema;
+  }
+
+  /**
+   * Checks whether a field is currently required, resolving
+   * requiredIf/requiredUnless against the other values
+   * @private
+   * @param {Object} rules - Field rules
+   * @param {Object} values - All form values
+   * @returns {boolean}
+   */
+  function isFieldRequired(rules, values) {
+    return rules.required === true
+      || (typeof rules.requiredIf === 'function' && rules.requiredIf(values))
+      || (typeof rules.requiredUnless === 'function' && !rules.requiredUnless(values));
+  }
+
+  /**
+   * Validates a single value against field rules
+   * @param {*} value - Field value (boolean for checkboxes)
+   * @param {Object} rules - Field rules
+   * @param {Object} values - All form values, for conditional rules
+   * @param {boolean} badInput - The control holds text the browser could not
+   *   parse (validity.badInput), so its value reads as empty
+   * @returns {Object} Validation result with isValid and message
+   */
+  function validateFieldValue(value, rules, values = {}, badInput = false) {
+    const messages = rules.messages || {};
+    const params = { ...rules, label: rules.label || 'This field' };
+    const fail = (rule) => ({
+      isValid: false,
+      message: formatMessage(messages[rule] || SCHEMA_MESSAGES[rule], params)
+    });
+    const valid = { isValid: true, message: '' };
+
+    if (rules.type === 'checkbox') {
+      return rules.checked && value !== true ? fail('checked') : valid;
+    }
+
+    if (badInput) {
+      return fail(rules.type === 'number' ? 'number' : 'pattern');
+    }
+
+    const stringValue = value === undefined || value === null ? '' : String(value).trim();
+
+    if (stringValue === '') {
+      return isFieldRequired(rules, values) ? fail('required') : valid;
+    }
+
+    if (rules.type === 'email') {
+      const result = validateEmail(stringValue, { blockDisposable: rules.blockDisposable });
+      return result.isValid || !messages.invalid ? result : { isValid: false, message: messages.invalid };
+    }
+
+    if (rules.minLength !== undefined && stringValue.length < rules.minLength) {
+      return fail('minLength');
+    }
+
+    if (rules.maxLength !== undefined && stringValue.length > rules.maxLength) {
+      return fail('maxLength');
+    }
+
+    if (rules.pattern) {
+      const pattern = compilePattern(rules.pattern);
+      if (pattern && !pattern.test(stringValue)) {
+        return fail('pattern');
+      }
+    }
+
+    if (Array.isArray(rules.enum) && !rules.enum.includes(stringValue)) {
+      return fail('enum');
+    }
+
+    if (rules.type === 'number' || rules.min !== undefined || rules.max !== undefined) {
+      const number = Number(stringValue);
+
+      if (!Number.isFinite(number)) {
+        return fail('number');
+      }
+
+      if (rules.min !== undefined && number < rules.min) {
+        return fail('min');
+      }
+
+      if (rules.max !== undefined && number > rules.max) {
+        return fail('max');
+      }
+
+      if (rules.step !== undefined) {
+        // Steps count from min, like native constraint validation
+        const base = rules.min !== undefined ? rules.min : 0;
+        const steps = (number - base) / rules.step;
+
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+          return fail(rules.step === 1 && Number.isInteger(base) ? 'integer' : 'step');
+        }
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Validates a values object against a schema, including cross-field rules.
+   * Cross-field rules receive all values and return a { field: message } map.
+   * @param {Object} values - Field values keyed by name
+   * @param {Object} schema - Schema from createSchemaFromForm
+   * @param {string[]} badInputFields - Names of controls with unparseable input
+   * @returns {Object} Result with isValid and a per-field errors map
+   */
+  function validateValues(values, schema, badInputFields = []) {
+    const errors = {};
+
+    Object.keys(schema.fields).forEach((name) => {
+      const result = validateFieldValue(values[name], schema.fields[name], values, badInputFields.includes(name));
+      if (!result.isValid) {
+        errors[name] = result.message;
+      }
+    });
+
+    (schema.rules || []).forEach((rule) => {
+      try {
+        const ruleErrors = rule(values) || {};
+        Object.keys(ruleErrors).forEach((name) => {
+          if (ruleErrors[name] && !errors[name]) {
+            errors[name] = ruleErrors[name];
+          }
+        });
+      } catch (error) {
+        console.error('Cross-field validation rule failed:', error);
+      }
+    });
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Collects current values for every schema field
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} schema - Schema from createSchemaFromForm
+   * @returns {Object} Values keyed by field name
+   */
+  function getFieldValues(form, schema) {
+    const values = {};
+
+    Object.keys(schema.fields).forEach((name) => {
+      const field = form.elements[name];
+
+      if (!field) {
+        values[name] = '';
+      } else if (field.type === 'checkbox') {
+        values[name] = field.checked;
+      } else {
+        values[name] = field.value;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Lists schema fields whose controls hold input the browser could not
+   * parse, e.g. letters typed into a number field
+   * @private
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} schema - Schema from createSchemaFromForm
+   * @returns {string[]} Field names
+   */
+  function getBadInputFields(form, schema) {
+    return Object.keys(schema.fields).filter((name) => {
+      const field = form.elements[name];
+      return Boolean(field && field.validity && field.validity.badInput);
+    });
+  }
+
+  /**
+   * Sets aria-required on fields with requiredIf/requiredUnless rules to
+   * match the current values, so assistive technology reports the right state
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} schema - Schema (defaults to one read from the markup)
+   */
+  function updateRequiredStates(form, schema = createSchemaFromForm(form)) {
+    if (!form) {
+      console.error('updateRequiredStates: form element is required');
+      return;
+    }
+
+    const values = getFieldValues(form, schema);
+
+    Object.keys(schema.fields).forEach((name) => {
+      const rules = schema.fields[name];
+      const field = form.elements[name];
+
+      if (!field || typeof field.setAttribute !== 'function'
+        || (typeof rules.requiredIf !== 'function' && typeof rules.requiredUnless !== 'function')) {
+        return;
+      }
+
+      field.setAttribute('aria-required', String(isFieldRequired(rules, values)));
+    });
+  }
+
+  /**
+   * Validates an entire form
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} schema - Schema (defaults to one read from the markup)
+   * @returns {Object} Result with isValid, errors map and values
+   */
+  function validateForm(form, schema = createSchemaFromForm(form)) {
+    if (!form) {
+      console.error('validateForm: form element is required');
+      return { isValid: false, errors: {}, values: {} };
+    }
+
+    const values = getFieldValues(form, schema);
+    return { ...validateValues(values, schema, getBadInputFields(form, schema)), values };
+  }
+
+  /**
+   * Validates one field of a form, taking cross-field rules into account
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} name - Field name
+   * @param {Object} schema - Schema (defaults to one read from the markup)
+   * @returns {Object} Validation result with isValid and message
+   */
+  function validateField(form, name, schema = createSchemaFromForm(form)) {
+    const { errors } = validateForm(form, schema);
+
+    return {
+      isValid: !errors[name],
+      message: errors[name] || ''
+    };
+  }
+
+  /**
+   * Ensures each schema field has an error span referenced from its
+   * aria-describedby, mirroring the #email / #email-error markup
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} schema - Schema (defaults to one read from the markup)
+   * @returns {Object} { field, errorElement } entries keyed by field name
+   */
+  function wireFieldErrors(form, schema = createSchemaFromForm(form)) {
+    const wiring = {};
+
+    if (!form) {
+      console.error('wireFieldErrors: form element is required');
+      return wiring;
+    }
+
+    Object.keys(schema.fields).forEach((name) => {
+      const field = form.elements[name];
+      if (!field || typeof field.setAttribute !== 'function') {
+        return;
+      }
+
+      if (!field.id) {
+        field.id = name;
+      }
+
+      const errorId = `${field.id}-error`;
+      let errorElement = document.getElementById(errorId);
+
+      if (!errorElement) {
+        errorElement = document.createElement('span');
+        errorElement.id = errorId;
+        errorElement.className = 'error';
+        errorElement.setAttribute('role', 'alert');
+        errorElement.setAttribute('aria-live', 'polite');
+        (field.closest('.field') || field.parentNode).appendChild(errorElement);
+      }
+
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!describedBy.includes(errorId)) {
+        describedBy.unshift(errorId);
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+      }
+
+      if (!field.hasAttribute('aria-invalid')) {
+        field.setAttribute('aria-invalid', 'false');
+      }
+
+      wiring[name] = { field, errorElement };
+    });
+
+    return wiring;
+  }
+
+  /**
+   * Applies an errors map to wired fields
+   * @param {Object} wiring - Result of wireFieldErrors
+   * @param {Object} errors - Messages keyed by field name
+   * @returns {HTMLElement|null} First invalid field in document order
+   */
+  function applyFormErrors(wiring, errors = {}) {
+    let firstInvalid = null;
+
+    Object.keys(wiring).forEach((name) => {
+      const { field, errorElement } = wiring[name];
+      const message = errors[name] || '';
+
+      updateInputState(field, errorElement, !message, message);
+
+      if (message && !firstInvalid) {
+        firstInvalid = field;
+      }
+    });
+
+    return firstInvalid;
+  }
+
+  // ===================================
+  // UI State Management
+  // ===================================
+
+  /**
+   * Updates input field UI based on validation state
+   * @param {HTMLInputElement} input - Input element
+   * @param {HTMLElement} errorElement - Error message element
+   * @param {boolean} isValid - Validation state
+   * @param {string} message - Error message
+   */
+  function updateInputState(input, errorElement, isValid, message) {
+    if (!input) {
+      console.error('updateInputState: input element is required');
+      return;
+    }
+
+    try {
+      // Update ARIA attributes for accessibility
+      input.setAttribute('aria-invalid', !isValid);
+
+      // Update error message
+      if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.setAttribute('aria-live', 'polite');
+      }
+
+      // Update visual state
+      if (!isValid) {
+        input.classList.add('error');
+      } else {
+        input.classList.remove('error');
+      }
+    } catch (error) {
+      console.error('Error updating input state:', error);
+    }
+  }
+
+  // Pending auto-hide timers per feedback element
+  const feedbackTimers = new WeakMap();
+
+  /**
+   * Shows form submission feedback
+   * @param {HTMLFormElement} form - Form element
+   * @param {boolean|string} isSuccess - Success state, or 'success', 'error' or 'queued'
+   * @param {string} message - Feedback message
+   */
+  function showFormFeedback(form, isSuccess, message) {
+    if (!form) {
+      console.error('showFormFeedback: form element is required');
+      return;
+    }
+
+    try {
+      // Create or update feedback element
+      let feedback = form.querySelector('.form-feedback');
+
+      if (!feedback) {
+        feedback = document.createElement('div');
+        feedback.className = 'form-feedback';
+        feedback.setAttribute('role', 'status');
+        feedback.setAttribute('aria-live', 'polite');
+        form.appendChild(feedback);
+      }
+
+      const state = typeof isSuccess === 'string' && FEEDBACK_COLORS[isSuccess]
+        ? isSuccess
+        : (isSuccess ? 'success' : 'error');
+
+      feedback.textContent = message;
+      feedback.className = `form-feedback ${state}`;
+      feedback.style.cssText = `
+        padding: var(--space-md, 1rem);
+        margin-top: var(--space-md, 1rem);
+        border-radius: var(--border-radius, 4px);
+        text-align: center;
+        font-weight: 500;
+        background: ${FEEDBACK_COLORS[state]};
+        color: white;
+        animation: slideIn 0.3s ease-out;
+      `;
+
+      // Remove feedback after 5 seconds, restarting the countdown for new messages
+      clearTimeout(feedbackTimers.get(feedback));
+      feedbackTimers.set(feedback, setTimeout(() => {
+        if (feedback && feedback.parentNode) {
+          feedback.style.animation = 'slideOut 0.3s ease-out';
+          setTimeout(() => {
+            if (feedback && feedback.parentNode) {
+              feedback.remove();
+            }
+          }, 300);
+        }
+      }, 5000));
+    } catch (error) {
+      console.error('Error showing form feedback:', error);
+    }
+  }
+
+  /**
+   * Shows a clickable "Did you mean ...?" suggestion in a field's hint,
+   * keeping the original hint text so it can be restored
+   * @param {HTMLInputElement} input - Email input
+   * @param {HTMLElement} hintElement - Hint element (e.g. #email-hint)
+   * @param {string} suggestion - Suggested email address
+   */
+  function showEmailSuggestion(input, hintElement, suggestion) {
+    if (!input || !hintElement) {
+      console.error('showEmailSuggestion: input and hint elements are required');
+      return;
+    }
+
+    try {
+      if (hintElement.dataset.defaultHint === undefined) {
+        hintElement.dataset.defaultHint = hintElement.textContent;
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'hint-suggestion';
+      button.textContent = suggestion;
+      button.setAttribute('aria-label', `Use suggested email address ${suggestion}`);
+      button.addEventListener('click', () => {
+        input.value = suggestion;
+        clearEmailSuggestion(hintElement);
+        input.focus();
+        // Let live validation pick up the corrected value
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+
+      hintElement.textContent = 'Did you mean ';
+      hintElement.appendChild(button);
+      hintElement.appendChild(document.createTextNode('?'));
+      hintElement.classList.add('has-suggestion');
+    } catch (error) {
+      console.error('Error showing email suggestion:', error);
+    }
+  }
+
+  /**
+   * Restores a hint element after showEmailSuggestion
+   * @param {HTMLElement} hintElement - Hint element
+   */
+  function clearEmailSuggestion(hintElement) {
+    if (!hintElement || hintElement.dataset.defaultHint === undefined) {
+      return;
+    }
+
+    hintElement.textContent = hintElement.dataset.defaultHint;
+    hintElement.classList.remove('has-suggestion');
+    delete hintElement.dataset.defaultHint;
+  }
+
+  /**
+   * Updates submit button state
+   * @param {HTMLButtonElement} button - Submit button
+   * @param {boolean} isLoading - Loading state
+   */
+  function updateButtonState(button, isLoading) {
+    if (!button) {
+      console.error('updateButtonState: button element is required');
+      return;
+    }
+
+    try {
+      button.setAttribute('aria-busy', isLoading);
+      button.disabled = isLoading;
+
+      // Swap only the label span when present so the button markup survives
+      const label = button.querySelector('.button-text') || button;
+
+      if (isLoading) {
+        button.dataset.originalText = label.textContent;
+        label.textContent = 'Sending...';
+      } else if (button.dataset.originalText) {
+        label.textContent = button.dataset.originalText;
+        delete button.dataset.originalText;
+      }
+    } catch (error) {
+      console.error('Error updating button state:', error);
+    }
+  }
+
+  // ===================================
+  // Form State Management
+  // ===================================
+
+  /**
+   * Creates a debounced function
+   * @param {Function} func - Function to debounce
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Function} Debounced function
+   */
+  function debounce(func, delay) {
+    let timeoutId;
+
+    return function debounced(...args) {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        func.apply(this, args);
+      }, delay);
+    };
+  }
+
+  /**
+   * Resets form to initial state
+   * @param {HTMLFormElement} form - Form element
+   * @param {HTMLInputElement} input - Input element
+   * @param {HTMLElement} errorElement - Error message element
+   */
+  function resetFormState(form, input, errorElement) {
+    if (!form) {
+      console.error('resetFormState: form element is required');
+      return;
+    }
+
+    try {
+      form.reset();
+
+      if (input) {
+        updateInputState(input, errorElement, true, '');
+      }
+
+      // Remove any existing feedback
+      const feedback = form.querySelector('.form-feedback');
+      if (feedback) {
+        feedback.remove();
+      }
+    } catch (error) {
+      console.error('Error resetting form state:', error);
+    }
+  }
+
+  /**
+   * Gets form data as object
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object} Form data
+   */
+  function getFormData(form) {
+    if (!form) {
+      console.error('getFormData: form element is required');
+      return {};
+    }
+
+    try {
       const formData = new FormData(form);
       const data = {};
 
-      for (const [key, value] of formData.entries()) {
-        data[key] = sanitizeInput(value);
-      }
+      for (const [key, value] of formData.entries()) {
+        data[key] = sanitizeInput(value);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error getting form data:', error);
+      return {};
+    }
+  }
+
+  // ===================================
+  // Form Submission Handler
+  // ===================================
+
+  /**
+   * Creates a submission error carrying a machine-readable code
+   * @private
+   * @param {string} code - Error code (timeout, network_error, server_error, client_error)
+   * @param {Object} details - Additional properties (status, body, cause)
+   * @returns {Error} Submission error
+   */
+  function createSubmitError(code, details = {}) {
+    const error = new Error(code);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Encodes form data for the request body
+   * @private
+   * @param {Object} data - Form data
+   * @param {string} encoding - 'json' or 'form'
+   * @returns {Object} Request body and content type
+   */
+  function encodeRequestBody(data, encoding) {
+    if (encoding === 'form') {
+      return {
+        body: new URLSearchParams(data).toString(),
+        contentType: 'application/x-www-form-urlencoded;charset=UTF-8'
+      };
+    }
+
+    return {
+      body: JSON.stringify(data),
+      contentType: 'application/json'
+    };
+  }
 
-      return data;
-    } catch (error) {
-      console.error('Error getting form data:', error);
-      return {};
+  /**
+   * Parses a response body as JSON when the server sends JSON
+   * @private
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object|null>} Parsed body or null
+   */
+  function parseResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (!contentType.includes('application/json')) {
+      return Promise.resolve(null);
     }
+
+    return response.json().catch(() => null);
   }
 
-  // ===================================
-  // Form Submission Handler
-  // ===================================
+  /**
+   * Submits form data to the server with timeout
+   * @param {Object} data - Form data
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} options - Request options
+   * @param {string} options.action - Endpoint URL (defaults to CONSTRAINTS.submitEndpoint)
+   * @param {string} options.encoding - 'json' (default) or 'form'
+   * @param {number} options.proofOfWork - Difficulty in bits; a fresh token is
+   *   minted for every send so replayed signups never carry an expired one
+   * @returns {Promise} Resolves with { success, status, data } or rejects with a coded error
+   */
+  function submitFormData(data, timeout = CONSTRAINTS.submitTimeout, options = {}) {
+    const action = options.action || CONSTRAINTS.submitEndpoint;
+    const encoding = options.encoding === 'form' ? 'form' : 'json';
+
+    if (typeof fetch === 'undefined' || typeof AbortController === 'undefined') {
+      return Promise.reject(createSubmitError('network_error'));
+    }
+
+    return SpamGuard.withProofOfWork(data, options.proofOfWork)
+      .then((payload) => sendRequest(action, encoding, payload, timeout));
+  }
 
   /**
-   * Simulates form submission with timeout
+   * Posts an encoded payload and maps failures to coded errors
+   * @private
+   * @param {string} action - Endpoint URL
+   * @param {string} encoding - 'json' or 'form'
    * @param {Object} data - Form data
    * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise} Submission promise
+   * @returns {Promise} Resolves with { success, status, data } or rejects with a coded error
    */
-  function submitFormData(data, timeout = CONSTRAINTS.submitTimeout) {
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('timeout'));
-      }, timeout);
+  function sendRequest(action, encoding, data, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const { body, contentType } = encodeRequestBody(data, encoding);
 
-      // Simulate API call
-      setTimeout(() => {
-        clearTimeout(timeoutId);
+    return fetch(action, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        'Accept': 'application/json'
+      },
+      body,
+      credentials: 'same-origin',
+      signal: controller.signal
+    })
+      .then((response) => parseResponseBody(response).then((responseBody) => {
+        if (response.ok) {
+          return { success: true, status: response.status, data: responseBody };
+        }
+
+        const code = response.status >= 500 ? 'server_error' : 'client_error';
+        throw createSubmitError(code, { status: response.status, body: responseBody });
+      }))
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          throw createSubmitError('timeout', { cause: error });
+        }
 
-        // Simulate random success/failure for demo
-        if (Math.random() > 0.1) {
-          resolve({ success: true, data });
-        } else {
-          reject(new Error('server_error'));
+        if (typeof error.code === 'string') {
+          throw error;
         }
-      }, 1000);
+
+        throw createSubmitError('network_error', { cause: error });
+      })
+      .finally(() => {
+        clearTimeout(timeoutId);
+      });
+  }
+
+  /**
+   * Maps a submission error to a user-facing message
+   * @param {Error} error - Error rejected by submitFormData
+   * @returns {string} Message from VALIDATION_MESSAGES
+   */
+  function getSubmitErrorMessage(error) {
+    const code = error && (error.code || error.message);
+    return SUBMIT_ERROR_MESSAGES[code] || VALIDATION_MESSAGES.error;
+  }
+
+  /**
+   * Checks whether a failed submission should be saved for later
+   * @param {Error} error - Error rejected by submitFormData
+   * @returns {boolean} True when the server could not be reached
+   */
+  function isQueueableError(error) {
+    return Boolean(error) && QUEUE_CONFIG.queueableErrors.includes(error.code);
+  }
+
+  // ===================================
+  // Offline Submission Queue
+  // ===================================
+
+  /**
+   * Normalizes an email address for use as a queue key
+   * @private
+   * @param {string} email - Email address
+   * @returns {string} Normalized email (empty when missing)
+   */
+  function normalizeEmailKey(email) {
+    if (typeof email !== 'string') {
+      return '';
+    }
+
+    const parsed = parseEmail(email);
+    return (parsed.isValid ? parsed.normalized : email.trim()).toLowerCase();
+  }
+
+  /**
+   * Computes the exponential backoff delay for a retry attempt
+   * @private
+   * @param {number} attempts - Number of attempts made so far
+   * @returns {number} Delay in milliseconds, with +/-20% jitter
+   */
+  function getRetryDelay(attempts) {
+    const exponential = QUEUE_CONFIG.baseRetryDelay * Math.pow(2, Math.max(0, attempts - 1));
+    const capped = Math.min(exponential, QUEUE_CONFIG.maxRetryDelay);
+    const jitter = capped * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(capped + jitter);
+  }
+
+  /**
+   * Opens the IndexedDB database backing the queue
+   * @private
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  function openQueueDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(QUEUE_CONFIG.dbName, QUEUE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(QUEUE_CONFIG.storeName, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+    });
+  }
+
+  /**
+   * Creates a queue store backed by IndexedDB
+   * @private
+   * @param {IDBDatabase} db - Open database
+   * @returns {Object} Store with getAll, put, delete and clear
+   */
+  function createIndexedDbStore(db) {
+    const run = (mode, operation) => new Promise((resolve, reject) => {
+      const transaction = db.transaction(QUEUE_CONFIG.storeName, mode);
+      const request = operation(transaction.objectStore(QUEUE_CONFIG.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     });
+
+    return {
+      type: 'indexeddb',
+      getAll: () => run('readonly', (store) => store.getAll()),
+      put: (entry) => run('readwrite', (store) => store.put(entry)),
+      delete: (key) => run('readwrite', (store) => store.delete(key)),
+      clear: () => run('readwrite', (store) => store.clear())
+    };
+  }
+
+  /**
+   * Creates a queue store backed by localStorage
+   * @private
+   * @param {Storage} storage - Storage area
+   * @returns {Object} Store with getAll, put, delete and clear
+   */
+  function createLocalStorageStore(storage) {
+    const read = () => {
+      try {
+        const entries = JSON.parse(storage.getItem(QUEUE_CONFIG.storageKey) || '{}');
+        return entries && typeof entries === 'object' ? entries : {};
+      } catch (error) {
+        return {};
+      }
+    };
+
+    const write = (entries) => {
+      storage.setItem(QUEUE_CONFIG.storageKey, JSON.stringify(entries));
+    };
+
+    return {
+      type: 'localstorage',
+      getAll: () => Promise.resolve(Object.values(read())),
+      put: (entry) => new Promise((resolve) => {
+        const entries = read();
+        entries[entry.key] = entry;
+        write(entries);
+        resolve();
+      }),
+      delete: (key) => new Promise((resolve) => {
+        const entries = read();
+        delete entries[key];
+        write(entries);
+        resolve();
+      }),
+      clear: () => new Promise((resolve) => {
+        storage.removeItem(QUEUE_CONFIG.storageKey);
+        resolve();
+      })
+    };
+  }
+
+  /**
+   * Creates an in-memory queue store (last resort, not persistent)
+   * @private
+   * @returns {Object} Store with getAll, put, delete and clear
+   */
+  function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+      type: 'memory',
+      getAll: () => Promise.resolve(Array.from(entries.values())),
+      put: (entry) => Promise.resolve(entries.set(entry.key, entry)).then(() => undefined),
+      delete: (key) => Promise.resolve(entries.delete(key)).then(() => undefined),
+      clear: () => Promise.resolve(entries.clear())
+    };
+  }
+
+  /**
+   * Checks that localStorage is usable (it throws in some private modes)
+   * @private
+   * @returns {boolean}
+   */
+  function isLocalStorageAvailable() {
+    try {
+      const probe = `${QUEUE_CONFIG.storageKey}:probe`;
+      window.localStorage.setItem(probe, '1');
+      window.localStorage.removeItem(probe);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  let queueStorePromise = null;
+
+  /**
+   * Resolves the best available queue store: IndexedDB, then localStorage,
+   * then memory
+   * @private
+   * @returns {Promise<Object>} Queue store
+   */
+  function getQueueStore() {
+    if (!queueStorePromise) {
+      const fallback = () => (
+        isLocalStorageAvailable() ? createLocalStorageStore(window.localStorage) : createMemoryStore()
+      );
+
+      queueStorePromise = typeof indexedDB === 'undefined'
+        ? Promise.resolve(fallback())
+        : openQueueDatabase().then(createIndexedDbStore).catch((error) => {
+          console.warn('SubmissionQueue: IndexedDB unavailable, falling back', error);
+          return fallback();
+        });
+    }
+
+    return queueStorePromise;
+  }
+
+  /**
+   * Persistent retry queue for waitlist submissions that could not reach
+   * the server. Entries are keyed by normalized email, retried with
+   * exponential backoff and replayed when the browser comes back online.
+   * Lifecycle events are dispatched on window as submissionqueue:queued,
+   * submissionqueue:sent and submissionqueue:dropped.
+   */
+  const SubmissionQueue = {
+    isStarted: false,
+    flushPromise: null,
+    retryTimer: null,
+
+    /**
+     * Starts listening for connectivity and schedules pending retries
+     */
+    start() {
+      if (this.isStarted || typeof window === 'undefined') {
+        return;
+      }
+
+      this.isStarted = true;
+      // Coming back online is the signal we were waiting for, so skip backoff
+      window.addEventListener('online', () => {
+        this.flush({ force: true });
+      });
+      this._scheduleRetry();
+    },
+
+    /**
+     * Saves a submission for later delivery, replacing any pending entry
+     * for the same email
+     * @param {Object} data - Form data (must include email)
+     * @param {Object} options - { action, encoding, proofOfWork, error }
+     * @returns {Promise<Object>} Stored queue entry
+     */
+    enqueue(data, options = {}) {
+      const key = normalizeEmailKey(data && data.email);
+
+      if (!key) {
+        return Promise.reject(new Error('SubmissionQueue.enqueue: data.email is required'));
+      }
+
+      const now = Date.now();
+
+      return getQueueStore()
+        .then((store) => store.getAll().then((entries) => {
+          const existing = entries.find((entry) => entry.key === key);
+          const entryData = { ...data };
+          // Tokens expire, so only the difficulty is kept and each replay mints its own
+          delete entryData[SPAM_CONFIG.proofOfWork.field];
+
+          const entry = {
+            key,
+            data: entryData,
+            action: options.action || CONSTRAINTS.submitEndpoint,
+            encoding: options.encoding === 'form' ? 'form' : 'json',
+            proofOfWork: Number(options.proofOfWork) || 0,
+            attempts: 0,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            nextAttemptAt: now + getRetryDelay(1),
+            lastError: options.error ? options.error.code || options.error.message : null
+          };
+
+          return store.put(entry).then(() => {
+            this._notify('queued', { entry, replaced: Boolean(existing) });
+            this._scheduleRetry();
+            return entry;
+          });
+        }));
+    },
+
+    /**
+     * Lists pending submissions, oldest first
+     * @returns {Promise<Object[]>} Queue entries
+     */
+    getAll() {
+      return getQueueStore()
+        .then((store) => store.getAll())
+        .then((entries) => entries.sort((a, b) => a.createdAt - b.createdAt));
+    },
+
+    /**
+     * Counts pending submissions
+     * @returns {Promise<number>}
+     */
+    size() {
+      return this.getAll().then((entries) => entries.length);
+    },
+
+    /**
+     * Removes the pending submission for an email
+     * @param {string} email - Email address
+     * @returns {Promise}
+     */
+    remove(email) {
+      return getQueueStore().then((store) => store.delete(normalizeEmailKey(email)));
+    },
+
+    /**
+     * Removes all pending submissions
+     * @returns {Promise}
+     */
+    clear() {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      return getQueueStore().then((store) => store.clear());
+    },
+
+    /**
+     * Sends every due submission, one at a time
+     * @param {Object} options - { force: true } ignores backoff and offline state
+     * @returns {Promise<Object>} Summary with sent, failed, dropped and remaining
+     */
+    flush(options = {}) {
+      if (this.flushPromise) {
+        return this.flushPromise;
+      }
+
+      const force = options.force === true;
+      const summary = { sent: 0, failed: 0, dropped: 0, remaining: 0 };
+
+      if (!force && typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return this.size().then((remaining) => ({ ...summary, remaining }));
+      }
+
+      this.flushPromise = getQueueStore()
+        .then((store) => this.getAll().then((entries) => {
+          const now = Date.now();
+          const due = entries.filter((entry) => force || entry.nextAttemptAt <= now);
+
+          return due.reduce(
+            (chain, entry) => chain.then(() => this._sendEntry(store, entry, summary)),
+            Promise.resolve()
+          );
+        }))
+        .then(() => this.size())
+        .then((remaining) => ({ ...summary, remaining }))
+        .finally(() => {
+          this.flushPromise = null;
+          this._scheduleRetry();
+        });
+
+      return this.flushPromise;
+    },
+
+    /**
+     * Attempts delivery of one entry and records the outcome
+     * @private
+     * @param {Object} store - Queue store
+     * @param {Object} entry - Queue entry
+     * @param {Object} summary - Flush summary to update
+     * @returns {Promise}
+     */
+    _sendEntry(store, entry, summary) {
+      return submitFormData(entry.data, CONSTRAINTS.submitTimeout, {
+        action: entry.action,
+        encoding: entry.encoding,
+        proofOfWork: entry.proofOfWork
+      })
+        .then((result) => store.delete(entry.key).then(() => {
+          summary.sent += 1;
+          this._notify('sent', { entry, result });
+        }))
+        .catch((error) => {
+          const attempts = entry.attempts + 1;
+
+          if (!QUEUE_CONFIG.retryableErrors.includes(error.code) || attempts >= QUEUE_CONFIG.maxAttempts) {
+            summary.dropped += 1;
+            return store.delete(entry.key).then(() => {
+              this._notify('dropped', { entry, error });
+            });
+          }
+
+          summary.failed += 1;
+          const now = Date.now();
+          return store.put({
+            ...entry,
+            attempts,
+            updatedAt: now,
+            nextAttemptAt: now + getRetryDelay(attempts + 1),
+            lastError: error.code
+          });
+        });
+    },
+
+    /**
+     * Schedules a flush for the earliest pending retry
+     * @private
+     */
+    _scheduleRetry() {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+
+      this.getAll()
+        .then((entries) => {
+          if (entries.length === 0) {
+            return;
+          }
+
+          const nextAttemptAt = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+          const delay = Math.max(0, nextAttemptAt - Date.now());
+
+          clearTimeout(this.retryTimer);
+          this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+          }, delay);
+        })
+        .catch((error) => {
+          console.error('SubmissionQueue: Failed to schedule retry', error);
+        });
+    },
+
+    /**
+     * Dispatches a queue lifecycle event on window
+     * @private
+     * @param {string} type - queued, sent or dropped
+     * @param {Object} detail - Event detail
+     */
+    _notify(type, detail) {
+      if (typeof window === 'undefined' || typeof CustomEvent === 'undefined') {
+        return;
+      }
+
+      window.dispatchEvent(new CustomEvent(`submissionqueue:${type}`, { detail }));
+    }
+  };
+
+  // ===================================
+  // Abuse Protection
+  // ===================================
+
+  // Per-form render time, interaction flag and honeypot input
+  const spamGuardState = new WeakMap();
+
+  /**
+   * Reads the submission history used for rate limiting
+   * @private
+   * @returns {Object} { timestamps, cooldownUntil }
+   */
+  function readSubmissionHistory() {
+    try {
+      const history = JSON.parse(window.localStorage.getItem(SPAM_CONFIG.storageKey) || '{}');
+      return {
+        timestamps: Array.isArray(history.timestamps) ? history.timestamps : [],
+        cooldownUntil: Number(history.cooldownUntil) || 0
+      };
+    } catch (error) {
+      return { timestamps: [], cooldownUntil: 0 };
+    }
+  }
+
+  /**
+   * Persists the submission history
+   * @private
+   * @param {Object} history - { timestamps, cooldownUntil }
+   */
+  function writeSubmissionHistory(history) {
+    try {
+      window.localStorage.setItem(SPAM_CONFIG.storageKey, JSON.stringify(history));
+    } catch (error) {
+      // Storage unavailable (private mode, quota): rate limiting degrades to off
+    }
+  }
+
+  /**
+   * Creates a visually hidden honeypot input that people never see or reach
+   * @private
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLInputElement} Honeypot input
+   */
+  function createHoneypot(form) {
+    const existing = form.querySelector(`[data-honeypot] [name="${SPAM_CONFIG.honeypotName}"]`);
+    if (existing) {
+      return existing;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-honeypot';
+    wrapper.dataset.honeypot = '';
+    // Hidden from assistive tech and the tab order so only bots fill it in
+    wrapper.setAttribute('aria-hidden', 'true');
+    wrapper.inert = true;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = SPAM_CONFIG.honeypotName;
+    input.id = `${SPAM_CONFIG.honeypotName}-${Math.random().toString(36).slice(2, 8)}`;
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = 'Leave this field empty';
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    (form.querySelector('fieldset') || form).appendChild(wrapper);
+
+    return input;
+  }
+
+  /**
+   * Hashes a string with SHA-256
+   * @private
+   * @param {string} message - Input string
+   * @returns {Promise<Uint8Array>} Digest bytes
+   */
+  function sha256(message) {
+    return window.crypto.subtle
+      .digest('SHA-256', new TextEncoder().encode(message))
+      .then((buffer) => new Uint8Array(buffer));
+  }
+
+  /**
+   * Checks that a digest starts with the given number of zero bits
+   * @private
+   * @param {Uint8Array} bytes - Digest bytes
+   * @param {number} bits - Required leading zero bits
+   * @returns {boolean}
+   */
+  function hasLeadingZeroBits(bytes, bits) {
+    const fullBytes = Math.floor(bits / 8);
+
+    for (let i = 0; i < fullBytes; i++) {
+      if (bytes[i] !== 0) {
+        return false;
+      }
+    }
+
+    const remainingBits = bits % 8;
+    return remainingBits === 0 || (bytes[fullBytes] >> (8 - remainingBits)) === 0;
   }
 
+  /**
+   * Client-side abuse protection for the waitlist form: a honeypot field,
+   * time-to-submit check, per-browser rate limiting and an optional
+   * proof-of-work token (enabled with data-proof-of-work="<bits>" on the
+   * form). Honeypot hits resolve as "not passed" so callers can pretend the
+   * submission went through; rate limiting is reported to the person, and
+   * too-fast submissions are held until the minimum time has passed.
+   */
+  const SpamGuard = {
+    /**
+     * Adds the honeypot and starts timing the form
+     * @param {HTMLFormElement} form - Form element
+     */
+    attach(form) {
+      if (!form || spamGuardState.has(form)) {
+        return;
+      }
+
+      const state = {
+        renderedAt: Date.now(),
+        hasInteracted: false,
+        honeypot: createHoneypot(form)
+      };
+
+      // Any trusted input proves a person is present, whatever their speed.
+      // Voice control, switch access and screen readers may only fire click
+      // or move focus, so those count too
+      const markInteraction = (e) => {
+        if (e.isTrusted) {
+          state.hasInteracted = true;
+        }
+      };
+
+      ['keydown', 'pointerdown', 'input', 'change', 'click', 'focusin'].forEach((type) => {
+        form.addEventListener(type, markInteraction, { capture: true, passive: true });
+      });
+
+      spamGuardState.set(form, state);
+    },
+
+    /**
+     * Runs the honeypot, timing and rate-limit checks
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object} { passed, reason }
+     */
+    check(form) {
+      const state = spamGuardState.get(form);
+
+      if (state) {
+        if (state.honeypot.value !== '') {
+          return { passed: false, reason: 'honeypot' };
+        }
+
+        const elapsed = Date.now() - state.renderedAt;
+        if (elapsed < SPAM_CONFIG.minSubmitTime && !state.hasInteracted) {
+          return { passed: false, reason: 'too_fast' };
+        }
+      }
+
+      if (this.isRateLimited()) {
+        return { passed: false, reason: 'rate_limited' };
+      }
+
+      return { passed: true, reason: null };
+    },
+
+    /**
+     * Checks the per-browser submission rate, starting a cooldown when exceeded
+     * @returns {boolean} True while submissions should be refused
+     */
+    isRateLimited() {
+      const now = Date.now();
+      const { rateLimit } = SPAM_CONFIG;
+      const history = readSubmissionHistory();
+
+      if (history.cooldownUntil > now) {
+        return true;
+      }
+
+      const recent = history.timestamps.filter((timestamp) => now - timestamp < rateLimit.windowMs);
+      if (recent.length >= rateLimit.maxSubmissions) {
+        writeSubmissionHistory({ timestamps: recent, cooldownUntil: now + rateLimit.cooldownMs });
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Records a submission for rate limiting. Call it once the server has
+     * accepted the signup or it has been queued, so failed attempts the user
+     * is asked to retry do not count.
+     */
+    recordSubmission() {
+      const now = Date.now();
+      const history = readSubmissionHistory();
+      const recent = history.timestamps.filter((timestamp) => now - timestamp < SPAM_CONFIG.rateLimit.windowMs);
+
+      recent.push(now);
+      writeSubmissionHistory({ timestamps: recent, cooldownUntil: history.cooldownUntil });
+    },
+
+    /**
+     * Finds a proof-of-work token bound to an email address. The token is
+     * "v1.<bits>.<issuedAt>.<salt>.<nonce>" where
+     * SHA-256("<issuedAt>.<salt>.<email>.<nonce>") starts with <bits> zero bits.
+     * @param {string} email - Email address being submitted
+     * @param {number} difficulty - Required leading zero bits
+     * @returns {Promise<string|null>} Token, or null when Web Crypto is
+     *   unavailable or the time budget runs out
+     */
+    async createProofOfWork(email, difficulty) {
+      if (typeof window === 'undefined' || !window.crypto || !window.crypto.subtle) {
+        return null;
+      }
+
+      const { version, maxIterations, batchSize, timeBudgetMs } = SPAM_CONFIG.proofOfWork;
+      const deadline = Date.now() + timeBudgetMs;
+      const issuedAt = Date.now();
+      const salt = Array.from(window.crypto.getRandomValues(new Uint8Array(8)))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+      const normalizedEmail = String(email || '').trim().toLowerCase();
+      const prefix = `${issuedAt}.${salt}.${normalizedEmail}`;
+
+      for (let start = 0; start < maxIterations; start += batchSize) {
+        const nonces = [];
+        for (let nonce = start; nonce < Math.min(start + batchSize, maxIterations); nonce++) {
+          nonces.push(nonce);
+        }
+
+        const digests = await Promise.all(nonces.map((nonce) => sha256(`${prefix}.${nonce}`)));
+        const found = digests.findIndex((digest) => hasLeadingZeroBits(digest, difficulty));
+
+        if (found !== -1) {
+          return [version, difficulty, issuedAt, salt, nonces[found]].join('.');
+        }
+
+        if (Date.now() >= deadline) {
+          return null;
+        }
+
+        // Let input and rendering run between batches
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      return null;
+    },
+
+    /**
+     * Returns a copy of the data carrying a freshly minted proof-of-work token
+     * @param {Object} data - Form data
+     * @param {number} difficulty - Required leading zero bits (0 skips the token)
+     * @returns {Promise<Object>} Data to send
+     */
+    withProofOfWork(data, difficulty) {
+      const payload = { ...data };
+      delete payload[SPAM_CONFIG.proofOfWork.field];
+
+      if (!(difficulty > 0)) {
+        return Promise.resolve(payload);
+      }
+
+      // A missing token must never block a real person, so failures fall through
+      return this.createProofOfWork(payload.email, difficulty)
+        .then((token) => {
+          if (token) {
+            payload[SPAM_CONFIG.proofOfWork.field] = token;
+          }
+          return payload;
+        })
+        .catch(() => payload);
+    },
+
+    /**
+     * Runs all checks and prepares data for submission. Submissions made
+     * too soon after render resolve once the minimum time has passed. The
+     * honeypot is stripped; the proof-of-work difficulty is returned for
+     * submitFormData, which mints the token right before each send.
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} data - Form data
+     * @returns {Promise<Object>} { passed, reason, data, proofOfWork }
+     */
+    protect(form, data) {
+      const result = this.check(form);
+
+      // Too fast without any trusted input is not proof of a bot (autofill
+      // and assistive tech can look like this), so wait out the rest instead
+      if (result.reason === 'too_fast') {
+        const state = spamGuardState.get(form);
+        const remaining = state.renderedAt + SPAM_CONFIG.minSubmitTime - Date.now();
+        return new Promise((resolve) => setTimeout(resolve, Math.max(0, remaining)))
+          .then(() => this.protect(form, data));
+      }
+
+      const cleanData = { ...data };
+      delete cleanData[SPAM_CONFIG.honeypotName];
+
+      return Promise.resolve({
+        passed: result.passed,
+        reason: result.reason,
+        data: cleanData,
+        proofOfWork: parseInt(form.dataset.proofOfWork, 10) || 0
+      });
+    }
+  };
+
   // ===================================
   // Public API
   // ===================================
@@ -352,13 +2093,29 @@
   window.FormValidation = Object.freeze({
     // Core validation functions
     validateEmail,
+    parseEmail,
+    suggestEmailDomain,
+    isDisposableDomain,
     validateRequired,
     sanitizeInput,
 
+    // Schema validation
+    createSchemaFromForm,
+    validateFieldValue,
+    validateValues,
+    validateForm,
+    validateField,
+    updateRequiredStates,
+    getFieldValues,
+    wireFieldErrors,
+    applyFormErrors,
+
     // UI state management
     updateInputState,
     showFormFeedback,
     updateButtonState,
+    showEmailSuggestion,
+    clearEmailSuggestion,
 
     // Form state management
     resetFormState,
@@ -367,13 +2124,27 @@
 
     // Form submission
     submitFormData,
+    getSubmitErrorMessage,
+    isQueueableError,
+    submissionQueue: SubmissionQueue,
+
+    // Abuse protection
+    spamGuard: SpamGuard,
 
     // Constants
     VALIDATION_MESSAGES,
+    SCHEMA_MESSAGES,
     CONSTRAINTS,
-    EMAIL_REGEX
+    QUEUE_CONFIG,
+    SPAM_CONFIG,
+    EMAIL_REGEX,
+    POPULAR_EMAIL_DOMAINS,
+    DISPOSABLE_EMAIL_DOMAINS
   });
 
+  // Replay any signups saved while offline
+  SubmissionQueue.start();
+
   // Log initialization
   if (typeof console !== 'undefined' && console.log) {
     console.log('Form validation module loaded successfully');
@@ -0,0 +1,286 @@
+/**
+ * Local Development Server
+ * Serves the static landing page and stands in for the waitlist backend by
+ * storing `/submit` signups in a JSON file. Performance beacons posted to
+ * `/vitals` are appended to an NDJSON file. Not intended for production use.
+ *
+ * Usage: npm run serve
+ * Environment: PORT (default 8080), SIGNUPS_FILE (default data/signups.json),
+ * POW_DIFFICULTY (minimum proof-of-work bits; 0 accepts submissions without a token)
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, dirname, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { verifyProofOfWork } from './proof-of-work.js';
+import { HttpError, createLogger, sendJson, readBody } from './http-utils.js';
+import { handleVitals } from './vitals-collector.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 8080;
+const SIGNUPS_FILE = resolve(ROOT_DIR, process.env.SIGNUPS_FILE || 'data/signups.json');
+const POW_DIFFICULTY = Number(process.env.POW_DIFFICULTY) || 0;
+
+// Must stay in sync with SPAM_CONFIG in assets/js/validation.js
+const HONEYPOT_FIELD = 'website';
+const POW_FIELD = '_pow';
+
+const MAX_BODY_BYTES = 10 * 1024;
+const log = createLogger('dev-server');
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional waitlist profile fields kept alongside the email (max length each)
+const PROFILE_FIELDS = Object.freeze({
+  name: 100,
+  role: 50,
+  experience: 3,
+  targetTitle: 100,
+  consent: 10
+});
+
+// Only the page and its assets are served; everything else in the repo stays private
+const PUBLIC_FILES = new Set(['index.html']);
+const PUBLIC_DIRECTORIES = new Set(['assets']);
+
+const MIME_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+});
+
+/**
+ * Parse a JSON or form-encoded request body
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed fields
+ */
+async function parseSubmission(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+  const raw = await readBody(req, MAX_BODY_BYTES);
+
+  if (contentType === 'application/json') {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Body must be a JSON object');
+      }
+      return parsed;
+    } catch (error) {
+      throw new HttpError(400, 'Malformed JSON body');
+    }
+  }
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  throw new HttpError(415, 'Unsupported content type');
+}
+
+/**
+ * Load stored signups
+ * @returns {Promise<Object[]>} Signup records
+ */
+async function loadSignups() {
+  try {
+    const contents = await readFile(SIGNUPS_FILE, 'utf8');
+    const signups = JSON.parse(contents);
+    return Array.isArray(signups) ? signups : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Persist signups
+ * @param {Object[]} signups - Signup records
+ */
+async function saveSignups(signups) {
+  await mkdir(dirname(SIGNUPS_FILE), { recursive: true });
+  await writeFile(SIGNUPS_FILE, `${JSON.stringify(signups, null, 2)}\n`);
+}
+
+// Signup file updates run one at a time so concurrent requests cannot overwrite each other
+let signupsWrite = Promise.resolve();
+
+/**
+ * Run a read-modify-write of the signups file after any update already in progress
+ * @param {Function} task - async (signups) => result; may modify signups in place
+ * @returns {Promise<*>} Task result
+ */
+function updateSignups(task) {
+  const run = signupsWrite.then(async () => {
+    const signups = await loadSignups();
+    const before = signups.length;
+    const result = await task(signups);
+    if (signups.length !== before) {
+      await saveSignups(signups);
+    }
+    return result;
+  });
+
+  signupsWrite = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Handle a waitlist submission
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handleSubmit(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const fields = await parseSubmission(req);
+  const email = typeof fields.email === 'string' ? fields.email.trim().toLowerCase() : '';
+
+  if (!EMAIL_REGEX.test(email) || email.length > 254) {
+    throw new HttpError(422, 'A valid email address is required');
+  }
+
+  // Bots get the same response as people, so they learn nothing from probing
+  const honeypotFilled = typeof fields[HONEYPOT_FIELD] === 'string' && fields[HONEYPOT_FIELD] !== '';
+  const proof = verifyProofOfWork(fields[POW_FIELD], email, { minDifficulty: POW_DIFFICULTY });
+
+  if (honeypotFilled || !proof.valid) {
+    log('warn', { message: 'Signup rejected', reason: honeypotFilled ? 'honeypot' : `pow_${proof.reason}` });
+    sendJson(res, 201, { success: true, duplicate: false });
+    return;
+  }
+
+  const profile = {};
+  Object.entries(PROFILE_FIELDS).forEach(([field, maxLength]) => {
+    if (typeof fields[field] === 'string' && fields[field].trim() !== '') {
+      profile[field] = fields[field].trim().slice(0, maxLength);
+    }
+  });
+
+  const { duplicate, total } = await updateSignups((signups) => {
+    const exists = signups.some((signup) => signup.email === email);
+
+    if (!exists) {
+      signups.push({ email, ...profile, createdAt: new Date().toISOString() });
+    }
+
+    return { duplicate: exists, total: signups.length };
+  });
+
+  log('info', { message: 'Signup received', duplicate, total });
+  sendJson(res, duplicate ? 200 : 201, { success: true, duplicate });
+}
+
+/**
+ * Check whether a path relative to the project root may be served
+ * @param {string} relativePath - Normalized path relative to ROOT_DIR
+ * @returns {boolean}
+ */
+function isPublicPath(relativePath) {
+  const segments = relativePath.split(sep);
+
+  if (segments.some((segment) => segment.startsWith('.'))) {
+    return false;
+  }
+
+  return segments.length === 1
+    ? PUBLIC_FILES.has(segments[0])
+    : PUBLIC_DIRECTORIES.has(segments[0]);
+}
+
+/**
+ * Serve index.html or a file under assets/
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {string} pathname - Decoded request path
+ */
+async function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  let filePath = normalize(join(ROOT_DIR, pathname));
+  if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + sep)) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  if (filePath === ROOT_DIR || filePath === ROOT_DIR + sep) {
+    filePath = join(ROOT_DIR, 'index.html');
+  }
+
+  if (!isPublicPath(filePath.slice(ROOT_DIR.length + 1))) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  try {
+    const stats = await stat(filePath);
+    if (stats.isDirectory()) {
+      throw new HttpError(404, 'Not found');
+    }
+    const contents = await readFile(filePath);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : contents);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      throw new HttpError(404, 'Not found');
+    }
+    throw error;
+  }
+}
+
+const routes = new Map([
+  ['/submit', handleSubmit],
+  ['/vitals', handleVitals]
+]);
+
+const server = createServer(async (req, res) => {
+  try {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(pathname);
+    } catch (error) {
+      throw new HttpError(400, 'Malformed URL');
+    }
+    const route = routes.get(decodedPath);
+
+    if (route) {
+      await route(req, res);
+    } else {
+      await serveStatic(req, res, decodedPath);
+    }
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+
+    if (status >= 500) {
+      log('error', { message: 'Request failed', url: req.url, error: error.message });
+    }
+
+    if (!res.headersSent) {
+      sendJson(res, status, {
+        success: false,
+        error: status >= 500 ? 'Internal server error' : error.message
+      });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  log('info', { message: 'Development server listening', url: `http://localhost:${PORT}/` });
+});
@@ -0,0 +1,81 @@
+/**
+ * HTTP Helpers
+ * Shared request/response utilities for the local development servers.
+ */
+
+/**
+ * HTTP error with status code
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a structured logger for a server module
+ * @param {string} module - Module name included in every entry
+ * @returns {Function} log(level, data)
+ */
+export function createLogger(module) {
+  return function log(level, data) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      module,
+      ...data
+    };
+
+    if (level === 'warn' || level === 'error') {
+      console.error(JSON.stringify(entry));
+    } else {
+      console.log(JSON.stringify(entry));
+    }
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the request body up to a size limit
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<string>} Raw body
+ */
+export function readBody(req, limit) {
+  return new Promise((resolvePromise, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolvePromise(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
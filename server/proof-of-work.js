@@ -0,0 +1,84 @@
+/**
+ * Proof-of-Work Verifier
+ * Checks tokens produced by FormValidation.spamGuard.createProofOfWork:
+ * "v1.<bits>.<issuedAt>.<salt>.<nonce>", valid when
+ * SHA-256("<issuedAt>.<salt>.<email>.<nonce>") starts with <bits> zero bits.
+ */
+
+import { createHash } from 'node:crypto';
+
+const TOKEN_VERSION = 'v1';
+
+// Clients mint a fresh token for every send, including offline queue replays
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Check that a digest starts with the given number of zero bits
+ * @param {Buffer} digest - Digest bytes
+ * @param {number} bits - Required leading zero bits
+ * @returns {boolean}
+ */
+function hasLeadingZeroBits(digest, bits) {
+  const fullBytes = Math.floor(bits / 8);
+
+  for (let i = 0; i < fullBytes; i++) {
+    if (digest[i] !== 0) {
+      return false;
+    }
+  }
+
+  const remainingBits = bits % 8;
+  return remainingBits === 0 || (digest[fullBytes] >> (8 - remainingBits)) === 0;
+}
+
+/**
+ * Verify a proof-of-work token for an email address
+ * @param {string} token - Token from the `_pow` field
+ * @param {string} email - Submitted email address
+ * @param {Object} options - { minDifficulty, maxAgeMs, now }
+ * @returns {{ valid: boolean, reason: string|null }} Verification result
+ */
+export function verifyProofOfWork(token, email, options = {}) {
+  const {
+    minDifficulty = 0,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    now = Date.now()
+  } = options;
+
+  if (typeof token !== 'string' || token === '') {
+    return { valid: minDifficulty === 0, reason: 'missing' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 5 || parts[0] !== TOKEN_VERSION) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [, difficultyPart, issuedAtPart, salt, noncePart] = parts;
+  const difficulty = Number(difficultyPart);
+  const issuedAt = Number(issuedAtPart);
+
+  if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 32
+    || !Number.isFinite(issuedAt) || !/^[0-9a-f]{16}$/.test(salt) || !/^\d+$/.test(noncePart)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (difficulty < minDifficulty) {
+    return { valid: false, reason: 'too_easy' };
+  }
+
+  // With no difficulty required the token is optional, so its age is irrelevant
+  if (minDifficulty > 0 && (issuedAt > now + MAX_CLOCK_SKEW_MS || now - issuedAt > maxAgeMs)) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const digest = createHash('sha256')
+    .update(`${issuedAt}.${salt}.${normalizedEmail}.${noncePart}`)
+    .digest();
+
+  return hasLeadingZeroBits(digest, difficulty)
+    ? { valid: true, reason: null }
+    : { valid: false, reason: 'insufficient_work' };
+}
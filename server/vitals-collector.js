@@ -0,0 +1,129 @@
+/**
+ * Local Performance Beacon Collector
+ * Receives batches sent by PerformanceUtils.monitor (sendBeacon) and appends
+ * one NDJSON line per entry. Mounted at `/vitals` by the dev server, or run
+ * on its own for a cross-origin collector.
+ *
+ * Usage: npm run collector
+ * Environment: COLLECTOR_PORT (default 8081), VITALS_FILE (default data/vitals.ndjson)
+ */
+
+import { createServer } from 'node:http';
+import { appendFile, mkdir } from 'node:fs/promises';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HttpError, createLogger, sendJson, readBody } from './http-utils.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const VITALS_FILE = resolve(ROOT_DIR, process.env.VITALS_FILE || 'data/vitals.ndjson');
+const COLLECTOR_PORT = Number(process.env.COLLECTOR_PORT) || 8081;
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_ENTRIES_PER_BATCH = 500;
+
+const log = createLogger('vitals-collector');
+
+/**
+ * Parse and validate a beacon batch
+ * @param {string} raw - Raw request body (JSON sent as text/plain)
+ * @returns {Object} Batch with sessionId, page and entries
+ */
+function parseBatch(raw) {
+  let batch;
+
+  try {
+    batch = JSON.parse(raw);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed JSON body');
+  }
+
+  if (!batch || typeof batch !== 'object' || !Array.isArray(batch.entries)) {
+    throw new HttpError(400, 'Batch must include an entries array');
+  }
+
+  if (batch.entries.length > MAX_ENTRIES_PER_BATCH) {
+    throw new HttpError(413, 'Too many entries in batch');
+  }
+
+  return batch;
+}
+
+/**
+ * Handle a performance beacon
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+export async function handleVitals(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const batch = parseBatch(await readBody(req, MAX_BODY_BYTES));
+  const receivedAt = new Date().toISOString();
+  const context = {
+    sessionId: typeof batch.sessionId === 'string' ? batch.sessionId : null,
+    page: typeof batch.page === 'string' ? batch.page : null,
+    receivedAt
+  };
+
+  const lines = batch.entries
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => JSON.stringify({ ...entry, ...context }))
+    .join('\n');
+
+  if (lines) {
+    await mkdir(dirname(VITALS_FILE), { recursive: true });
+    await appendFile(VITALS_FILE, `${lines}\n`);
+  }
+
+  log('info', { message: 'Beacon received', sessionId: context.sessionId, entries: batch.entries.length });
+  res.writeHead(204, { 'Cache-Control': 'no-store' });
+  res.end();
+}
+
+/**
+ * Start a standalone collector that accepts cross-origin beacons
+ * @param {number} port - Port to listen on
+ * @returns {import('node:http').Server}
+ */
+export function startCollector(port = COLLECTOR_PORT) {
+  const server = createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      await handleVitals(req, res);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+
+      if (status >= 500) {
+        log('error', { message: 'Beacon failed', error: error.message });
+      }
+
+      if (!res.headersSent) {
+        sendJson(res, status, {
+          success: false,
+          error: status >= 500 ? 'Internal server error' : error.message
+        });
+      }
+    }
+  });
+
+  server.listen(port, () => {
+    log('info', { message: 'Collector listening', url: `http://localhost:${port}/`, file: VITALS_FILE });
+  });
+
+  return server;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startCollector();
+}